@@ -14,7 +14,21 @@ export const PLANET_SYMBOLS = {
   saturn: '♄',
   uranus: '♅',
   neptune: '♆',
-  pluto: '♇'
+  pluto: '♇',
+  meanNode: '☊',
+  trueNode: '☊',
+  lilith: '⚸',
+  chiron: '⚷',
+  partOfFortune: '⊗'
+};
+
+// Display names for points whose key is not a plain planet name
+export const POINT_NAMES = {
+  meanNode: 'Mean Node',
+  trueNode: 'True Node',
+  lilith: 'Lilith',
+  chiron: 'Chiron',
+  partOfFortune: 'Part of Fortune'
 };
 
 // Zodiac sign starting degrees
@@ -52,9 +66,33 @@ export const ZODIAC_SYMBOLS = {
 // Planet list
 export const PLANETS = ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
 
+// Calculated points (lunar nodes, mean Black Moon Lilith, Chiron)
+// Keys capitalize to the body names calculatePlanetPosition() accepts (meanNode -> MeanNode)
+export const POINTS = ['meanNode', 'trueNode', 'lilith', 'chiron'];
+
 // Angles/Points
 export const ANGLES = ['ascendant', 'midheaven'];
 
+// Lots derived from the angles (need a birth time and place)
+export const LOTS = ['partOfFortune'];
+
+// House systems supported by calculateHouses()
+export const HOUSE_SYSTEMS = ['Placidus', 'Koch', 'Regiomontanus', 'Campanus', 'Porphyry', 'Equal', 'Whole Sign'];
+export const DEFAULT_HOUSE_SYSTEM = 'Placidus';
+
+// Zodiacs
+export const ZODIACS = ['Tropical', 'Sidereal'];
+export const DEFAULT_ZODIAC = 'Tropical';
+
+// Sidereal ayanamsas: value at J2000.0 in degrees (advances with precession)
+export const AYANAMSAS = {
+  'Lahiri': 23.857092,
+  'Fagan-Bradley': 24.740300,
+  'Raman': 22.410791,
+  'Krishnamurti': 23.760240
+};
+export const DEFAULT_AYANAMSA = 'Lahiri';
+
 // ============================================
 // CONVERSION FUNCTIONS
 // ============================================
@@ -96,6 +134,40 @@ export function toZodiacPosition(absoluteDegrees) {
   return { sign: 'Aries', degree: '0.00' };
 }
 
+/**
+ * Calculate the ayanamsa (tropical - sidereal offset) for a date
+ * J2000 value plus accumulated general precession in longitude (IAU 2006).
+ * @param {string} ayanamsa - Name from AYANAMSAS
+ * @param {Date} date - JavaScript Date object
+ * @returns {number} Ayanamsa in degrees
+ */
+export function calculateAyanamsa(ayanamsa, date) {
+  const base = AYANAMSAS[ayanamsa] ?? AYANAMSAS[DEFAULT_AYANAMSA];
+  const T = (getJulianDay(date) - 2451545.0) / 36525;
+  
+  // General precession in longitude (arcseconds)
+  const precession = 5028.796195 * T + 1.1054348 * T * T;
+  
+  return base + precession / 3600;
+}
+
+/**
+ * Convert a tropical longitude to the zodiac chosen in settings
+ * @param {number} tropicalDegrees - Tropical longitude in degrees
+ * @param {Date} date - Date of the position (the ayanamsa changes over time)
+ * @param {object} settings - {zodiac: 'Tropical'|'Sidereal', ayanamsa}
+ * @returns {number} Longitude in the chosen zodiac (0-360)
+ */
+export function toZodiacLongitude(tropicalDegrees, date, settings = {}) {
+  let longitude = tropicalDegrees;
+  
+  if (settings.zodiac === 'Sidereal') {
+    longitude -= calculateAyanamsa(settings.ayanamsa, date);
+  }
+  
+  return ((longitude % 360) + 360) % 360;
+}
+
 /**
  * Calculate angle between two positions (shortest distance)
  * @param {number} degrees1 - First position in degrees
@@ -108,6 +180,58 @@ export function calculateAngle(degrees1, degrees2) {
   return angle;
 }
 
+/**
+ * Calculate the Part of Fortune (day/night aware)
+ * Day chart (Sun above the horizon): ASC + Moon - Sun
+ * Night chart: ASC + Sun - Moon
+ * @param {number} ascendant - Ascendant in degrees
+ * @param {number} sun - Sun longitude in degrees
+ * @param {number} moon - Moon longitude in degrees
+ * @returns {object} {sign, degree, absoluteDegree, isDayChart}
+ */
+export function calculatePartOfFortune(ascendant, sun, moon) {
+  // The Sun is above the horizon when it lies between the Descendant and the Ascendant (via the MC)
+  const isDayChart = ((sun - ascendant + 360) % 360) >= 180;
+  
+  const lot = isDayChart ? ascendant + moon - sun : ascendant + sun - moon;
+  const normalized = ((lot % 360) + 360) % 360;
+  
+  return {
+    ...toZodiacPosition(normalized),
+    absoluteDegree: normalized,
+    isDayChart
+  };
+}
+
+/**
+ * Find the moment a continuous function of time crosses zero (bisection)
+ * fn must have opposite signs (or zero) at startMs and endMs.
+ * @param {Function} fn - (timestampMs) => number
+ * @param {number} startMs - Range start (ms since epoch)
+ * @param {number} endMs - Range end (ms since epoch)
+ * @param {number} toleranceMs - Stop when the bracket is this small (default 1 minute)
+ * @returns {number} Timestamp (ms) of the crossing
+ */
+export function bisectTime(fn, startMs, endMs, toleranceMs = 60 * 1000) {
+  let lo = startMs;
+  let hi = endMs;
+  let fLo = fn(lo);
+  
+  while (hi - lo > toleranceMs) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  
+  return (lo + hi) / 2;
+}
+
 /**
  * Calculate Julian Day from JavaScript Date
  * @param {Date} date - JavaScript Date object
@@ -144,59 +268,4 @@ export function getLocalSiderealTime(date, longitude) {
   return ((lst % 24) + 24) % 24;
 }
 
-/**
- * Calculate planetary position using simplified formulas
- * @param {string} planetName - Planet name (lowercase)
- * @param {Date} date - JavaScript Date object
- * @returns {object} {sign: 'SignName', degree: '0.00'}
- */
-export function calculatePlanetPosition(planetName, date) {
-  const jd = getJulianDay(date);
-  const T = (jd - 2451545.0) / 36525; // centuries since J2000
-  
-  // Mean longitude formulas (simplified but accurate)
-  let L;
-  
-  switch(planetName. toLowerCase()) {
-    case 'sun':
-      L = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
-      break;
-    case 'moon': 
-      L = 218.3165 + 481267.8813 * T;
-      break;
-    case 'mercury': 
-      L = 252.25 + 149472.68 * T;
-      break;
-    case 'venus':
-      L = 181.98 + 58517.82 * T;
-      break;
-    case 'mars':
-      L = 355.43 + 19140.30 * T;
-      break;
-    case 'jupiter':
-      L = 34.35 + 3034.91 * T;
-      break;
-    case 'saturn': 
-      L = 50.08 + 1222.11 * T;
-      break;
-    case 'uranus': 
-      L = 314.05 + 428.49 * T;
-      break;
-    case 'neptune':
-      L = 304.35 + 218.46 * T;
-      break;
-    case 'pluto':
-      L = 238.96 + 144.96 * T;
-      break;
-    default:
-      console.error(`Unknown planet: ${planetName}`);
-      return null;
-  }
-  
-  // Normalize to 0-360
-  L = ((L % 360) + 360) % 360;
-  
-  return toZodiacPosition(L);
-}
-
 console.log('✨ Astrology Core loaded! ');
\ No newline at end of file
@@ -3,7 +3,8 @@
 // Displays birth chart or current chart in the sidebar
 // ============================================
 
-import { PLANET_SYMBOLS, ZODIAC_SYMBOLS } from './astrology-core.js';
+import { PLANET_SYMBOLS, ZODIAC_SYMBOLS, POINT_NAMES } from './astrology-core.js';
+import { createChartWheelSVG, exportChartWheel } from './chart-wheel.js';
 
 // Keep the last birth chart shown so the toggle can compute a "current chart" for the same person
 let lastBirthChart = null;
@@ -67,12 +68,27 @@ function renderChartIntoSidebar(chart, title) {
     { name: 'Uranus', symbol: PLANET_SYMBOLS.uranus, data: chart.uranus },
     { name: 'Neptune', symbol: PLANET_SYMBOLS.neptune, data: chart.neptune },
     { name: 'Pluto', symbol: PLANET_SYMBOLS.pluto, data: chart.pluto },
+    { name: POINT_NAMES.trueNode, symbol: PLANET_SYMBOLS.trueNode, data: chart.trueNode },
+    { name: POINT_NAMES.meanNode, symbol: PLANET_SYMBOLS.meanNode, data: chart.meanNode },
+    { name: POINT_NAMES.lilith, symbol: PLANET_SYMBOLS.lilith, data: chart.lilith },
+    { name: POINT_NAMES.chiron, symbol: PLANET_SYMBOLS.chiron, data: chart.chiron },
+    { name: POINT_NAMES.partOfFortune, symbol: PLANET_SYMBOLS.partOfFortune, data: chart.partOfFortune },
     { name: 'Ascendant', symbol: '⬆', data: chart.ascendant, isAngle: true },
     { name: 'Midheaven', symbol: '⬆', data: chart.midheaven, isAngle: true }
   ];
 
-  // Generate HTML
-  let html = '<ul class="birth-chart-list">';
+  // Generate HTML: the wheel (when the chart can be drawn), then the planet list
+  const wheelSVG = createChartWheelSVG(chart);
+  let html = '';
+  if (wheelSVG) {
+    html += `
+      <figure class="chart-wheel">
+        ${wheelSVG}
+        <button type="button" class="button button--sm button--secondary" data-chart-wheel-export>Export SVG</button>
+      </figure>
+    `;
+  }
+  html += '<ul class="birth-chart-list">';
 
   for (const planet of planets) {
     if (!planet.data) continue;
@@ -80,12 +96,14 @@ function renderChartIntoSidebar(chart, title) {
     const zodiacSymbol = ZODIAC_SYMBOLS[planet.data.sign] || '';
     const house = planet.data.house || (planet.isAngle ? '—' : '?');
     const houseText = planet.isAngle ? '' : `${house}${getOrdinalSuffix(house)}`;
+    const retrogradeText = planet.data.retrograde ? '<span class="birth-chart-list__retrograde" title="Retrograde">℞</span>' : '';
+    const oobText = planet.data.outOfBounds ? `<span class="birth-chart-list__oob" title="Out of bounds (declination ${planet.data.declination.toFixed(2)}°)">OOB</span>` : '';
 
     html += `
       <li class="birth-chart-list__item">
         <span class="birth-chart-list__symbol" title="${planet.name}">${planet.symbol}</span>
         <span class="birth-chart-list__name">${planet.name}</span>
-        <span class="birth-chart-list__position">${planet.data.degree}° ${planet.data.sign}</span>
+        <span class="birth-chart-list__position">${planet.data.degree}° ${planet.data.sign}${retrogradeText}${oobText}</span>
         <span class="birth-chart-list__house">${houseText}</span>
         <span class="birth-chart-list__zodiac">${zodiacSymbol}</span>
       </li>
@@ -93,11 +111,58 @@ function renderChartIntoSidebar(chart, title) {
   }
 
   html += '</ul>';
+  html += `<p class="birth-chart-display__meta">${getChartFrameText(chart)}</p>`;
 
   container.innerHTML = html;
+
+  container.querySelector('[data-chart-wheel-export]')?.addEventListener('click', () => {
+    const fileName = `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.svg`;
+    exportChartWheel(container.querySelector('.chart-wheel__svg'), fileName);
+  });
+
   console.log(`✨ ${title} displayed in sidebar`);
 }
 
+/**
+ * Describe the zodiac and house system a chart was calculated in
+ * e.g. "Sidereal · Lahiri 24.19° · Placidus houses · Topocentric Moon"
+ * (progressed charts also name the day whose sky they show, directed charts their arc,
+ * return charts the place they are cast for, relationship charts the two people)
+ */
+function getChartFrameText(chart) {
+  const parts = [chart.zodiac || 'Tropical'];
+  if (chart.zodiac === 'Sidereal' && chart.ayanamsa) {
+    parts.push(`${chart.ayanamsa} ${Number(chart.ayanamsaDegrees).toFixed(2)}°`);
+  }
+  if (chart.houseSystem) {
+    parts.push(`${chart.houseSystem} houses`);
+  }
+  if (chart.topocentric) {
+    parts.push('Topocentric Moon');
+  }
+  if (chart.metadata && chart.metadata.progressedDate) {
+    parts.push(`Progressed sky of ${new Date(chart.metadata.progressedDate).toLocaleDateString()}`);
+  }
+  if (chart.metadata && chart.metadata.solarArc != null) {
+    parts.push(`Solar arc ${chart.metadata.solarArc.toFixed(2)}°`);
+  }
+  if (chart.metadata && chart.metadata.locationName) {
+    parts.push(`Cast for ${escapeHtml(chart.metadata.locationName)}`);
+  }
+  if (chart.metadata && chart.metadata.relationship) {
+    const kind = chart.metadata.relationship === 'davison' ? 'Davison' : 'Composite';
+    parts.push(`${kind} of ${(chart.metadata.names || []).map(escapeHtml).join(' &amp; ')}`);
+  }
+  return parts.join(' · ');
+}
+
+// The caption is written as HTML; place and people names are free text
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
 /**
  * Get ordinal suffix for house numbers (1st, 2nd, 3rd, etc.)
  */
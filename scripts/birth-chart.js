@@ -1,5 +1,6 @@
 import { initAstronomy, calculatePlanetPosition, calculateHouses } from './ephemeris.js';
 import { getTimezoneOffset } from './timezone-helper.js';
+import { DEFAULT_HOUSE_SYSTEM, DEFAULT_ZODIAC, DEFAULT_AYANAMSA, calculatePartOfFortune, calculateAyanamsa } from './astrology-core.js';
 
 // Constants
 const ORBS = {
@@ -8,7 +9,9 @@ const ORBS = {
   trine: 8,
   square: 7,
   sextile: 6,
-  inconjunct:  3
+  inconjunct:  3,
+  parallel: 1,
+  contraParallel: 1
 };
 
 const HOUSE_KEYWORDS = {
@@ -54,18 +57,22 @@ function getPlanetHouse(planetAbsoluteDegree, houseCuspDegrees) {
   return 1;
 }
 
-export async function calculateBirthChart(birthDate, birthTime, latitude, longitude, timezoneOffset = null) {
+export async function calculateBirthChart(birthDate, birthTime, latitude, longitude, timezoneOffset = null, settings = {}) {
+  const houseSystem = settings.houseSystem || DEFAULT_HOUSE_SYSTEM;
+  const zodiacSettings = {
+    zodiac: settings.zodiac || DEFAULT_ZODIAC,
+    ayanamsa: settings.ayanamsa || DEFAULT_AYANAMSA,
+    // Topocentric Moon: seen from the birth place
+    observer: settings.topocentric ? { latitude, longitude } : null
+  };
+
   console.log('📊 Calculating birth chart...');
   console.log(`  Date: ${birthDate}`);
   console.log(`  Time: ${birthTime} (local time)`);
   console.log(`  Location: ${latitude}°, ${longitude}°`);
   
-  // Wait for Astronomy Engine to load
-  const ready = await initAstronomy();
-  if (!ready) {
-    console.error('❌ Cannot calculate without Astronomy Engine');
-    throw new Error('Astronomy Engine not available');
-  }
+  // Resolve the ephemeris engine (falls back to the built-in one when offline)
+  await initAstronomy();
   
   // Estimate timezone if not provided
   if (timezoneOffset === null) {
@@ -96,36 +103,56 @@ export async function calculateBirthChart(birthDate, birthTime, latitude, longit
       calculatedAt: new Date().toISOString(),
       localDateTime: `${birthDate}T${birthTime}:00`,
       utcDateTime: birthDateTimeUTC.toISOString()
-    }
+    },
+    zodiac: zodiacSettings.zodiac,
+    topocentric: Boolean(zodiacSettings.observer)
   };
   
+  if (zodiacSettings.zodiac === 'Sidereal') {
+    chart.ayanamsa = zodiacSettings.ayanamsa;
+    chart.ayanamsaDegrees = calculateAyanamsa(zodiacSettings.ayanamsa, birthDateTimeUTC);
+  }
+  
   // Calculate planetary positions
   console.log('🪐 Calculating planetary positions...');
-  chart.sun = calculatePlanetPosition('Sun', birthDateTimeUTC);
-  chart.moon = calculatePlanetPosition('Moon', birthDateTimeUTC);
-  chart.mercury = calculatePlanetPosition('Mercury', birthDateTimeUTC);
-  chart.venus = calculatePlanetPosition('Venus', birthDateTimeUTC);
-  chart.mars = calculatePlanetPosition('Mars', birthDateTimeUTC);
-  chart.jupiter = calculatePlanetPosition('Jupiter', birthDateTimeUTC);
-  chart.saturn = calculatePlanetPosition('Saturn', birthDateTimeUTC);
-  chart.uranus = calculatePlanetPosition('Uranus', birthDateTimeUTC);
-  chart.neptune = calculatePlanetPosition('Neptune', birthDateTimeUTC);
-  chart.pluto = calculatePlanetPosition('Pluto', birthDateTimeUTC);
+  chart.sun = calculatePlanetPosition('Sun', birthDateTimeUTC, zodiacSettings);
+  chart.moon = calculatePlanetPosition('Moon', birthDateTimeUTC, zodiacSettings);
+  chart.mercury = calculatePlanetPosition('Mercury', birthDateTimeUTC, zodiacSettings);
+  chart.venus = calculatePlanetPosition('Venus', birthDateTimeUTC, zodiacSettings);
+  chart.mars = calculatePlanetPosition('Mars', birthDateTimeUTC, zodiacSettings);
+  chart.jupiter = calculatePlanetPosition('Jupiter', birthDateTimeUTC, zodiacSettings);
+  chart.saturn = calculatePlanetPosition('Saturn', birthDateTimeUTC, zodiacSettings);
+  chart.uranus = calculatePlanetPosition('Uranus', birthDateTimeUTC, zodiacSettings);
+  chart.neptune = calculatePlanetPosition('Neptune', birthDateTimeUTC, zodiacSettings);
+  chart.pluto = calculatePlanetPosition('Pluto', birthDateTimeUTC, zodiacSettings);
+  
+  // Calculated points
+  chart.meanNode = calculatePlanetPosition('MeanNode', birthDateTimeUTC, zodiacSettings);
+  chart.trueNode = calculatePlanetPosition('TrueNode', birthDateTimeUTC, zodiacSettings);
+  chart.lilith = calculatePlanetPosition('Lilith', birthDateTimeUTC, zodiacSettings);
+  chart.chiron = calculatePlanetPosition('Chiron', birthDateTimeUTC, zodiacSettings);
   
   // Validate planetary calculations
   if (!chart.sun || !chart.moon) {
     throw new Error('Failed to calculate planetary positions');
   }
   
-  // Calculate houses (Placidus system)
-  console.log('🏠 Calculating Placidus houses.. .');
-  const houses = calculateHouses(birthDateTimeUTC, latitude, longitude);
+  // Calculate houses (chosen house system)
+  console.log(`🏠 Calculating ${houseSystem} houses...`);
+  const houses = calculateHouses(birthDateTimeUTC, latitude, longitude, { ...zodiacSettings, houseSystem });
   
   if (houses) {
     chart.ascendant = houses.ascendant;
     chart.midheaven = houses.midheaven;
     chart.houses = houses.houses;
-    chart.houseSystem = 'Placidus';
+    chart.houseSystem = houses.houseSystem;
+    
+    // Part of Fortune needs the Ascendant
+    chart.partOfFortune = calculatePartOfFortune(
+      chart.ascendant.absoluteDegree,
+      chart.sun.absoluteDegree,
+      chart.moon.absoluteDegree
+    );
     
     // Extract house cusp absolute degrees for planet-in-house calculation
     const houseCuspDegrees = houses.houses.map(h => h.absoluteDegree);
@@ -147,6 +174,11 @@ console.log('');
     chart.uranus.house = getPlanetHouse(chart.uranus.absoluteDegree, houseCuspDegrees);
     chart.neptune.house = getPlanetHouse(chart.neptune.absoluteDegree, houseCuspDegrees);
     chart.pluto.house = getPlanetHouse(chart.pluto.absoluteDegree, houseCuspDegrees);
+    chart.meanNode.house = getPlanetHouse(chart.meanNode.absoluteDegree, houseCuspDegrees);
+    chart.trueNode.house = getPlanetHouse(chart.trueNode.absoluteDegree, houseCuspDegrees);
+    chart.lilith.house = getPlanetHouse(chart.lilith.absoluteDegree, houseCuspDegrees);
+    chart.chiron.house = getPlanetHouse(chart.chiron.absoluteDegree, houseCuspDegrees);
+    chart.partOfFortune.house = getPlanetHouse(chart.partOfFortune.absoluteDegree, houseCuspDegrees);
     
     console.log('✅ Planet houses assigned! ');
   } else {
@@ -168,6 +200,8 @@ console.log('');
   console.log(`   Time: ${chart.metadata.time} (Local)`);
   console.log(`   Timezone: UTC${chart.metadata.timezoneOffset >= 0 ? '+' : ''}${chart.metadata. timezoneOffset}`);
   console.log(`   Location: ${chart.metadata.latitude}°, ${chart.metadata.longitude}°`);
+  console.log(`   Houses: ${chart.houseSystem}`);
+  console.log(`   Zodiac: ${chart.zodiac}${chart.ayanamsa ? ` (${chart.ayanamsa} ${chart.ayanamsaDegrees.toFixed(4)}°)` : ''}`);
   console.log('');
   console.log('🪐 Planets: ');
   console.log(`   ☉ Sun       ${chart.sun.degree}° ${chart.sun.sign. padEnd(11)} House ${chart.sun.house}`);
@@ -181,6 +215,15 @@ console.log('');
   console.log(`   ♆ Neptune   ${chart.neptune.degree}° ${chart.neptune. sign.padEnd(11)} House ${chart.neptune.house}`);
   console.log(`   ♇ Pluto     ${chart.pluto.degree}° ${chart.pluto.sign.padEnd(11)} House ${chart.pluto.house}`);
   console.log('');
+  console.log('✴️ Points:');
+  console.log(`   ☊ Mean Node ${chart.meanNode.degree}° ${chart.meanNode.sign.padEnd(11)} House ${chart.meanNode.house}`);
+  console.log(`   ☊ True Node ${chart.trueNode.degree}° ${chart.trueNode.sign.padEnd(11)} House ${chart.trueNode.house}`);
+  console.log(`   ⚸ Lilith    ${chart.lilith.degree}° ${chart.lilith.sign.padEnd(11)} House ${chart.lilith.house}`);
+  console.log(`   ⚷ Chiron    ${chart.chiron.degree}° ${chart.chiron.sign.padEnd(11)} House ${chart.chiron.house}`);
+  if (chart.partOfFortune) {
+    console.log(`   ⊗ Fortune   ${chart.partOfFortune.degree}° ${chart.partOfFortune.sign.padEnd(11)} House ${chart.partOfFortune.house} (${chart.partOfFortune.isDayChart ? 'day' : 'night'} chart)`);
+  }
+  console.log('');
   console.log('📐 Angles:');
   console.log('📐 Angles:');
 console.log(`   ⬆ Ascendant (ASC)  ${chart.ascendant.degree}° ${chart.ascendant.sign}      (House 1 Cusp)`);
@@ -197,8 +240,9 @@ console.log('');
 }
 
 // Calculate aspects between planets
-export function calculateAspects(chart) {
-  console.log('🔮 Calculating aspects...');
+// options.quiet skips the console log (for charts drawn on every render, e.g. the chart wheel)
+export function calculateAspects(chart, { quiet = false } = {}) {
+  if (!quiet) console.log('🔮 Calculating aspects...');
   
   const planets = [
     { name: 'Sun', data: chart.sun },
@@ -240,12 +284,34 @@ export function calculateAspects(chart) {
           symbol: aspectType.symbol
         });
         
-        console. log(`  ${planet1.name} ${aspectType.symbol} ${planet2.name} (${angle.toFixed(1)}°, orb: ${aspectType.orb. toFixed(1)}°)`);
+        if (!quiet) console. log(`  ${planet1.name} ${aspectType.symbol} ${planet2.name} (${angle.toFixed(1)}°, orb: ${aspectType.orb. toFixed(1)}°)`);
+      }
+
+      // Declination aspects (charts saved before declinations were stored have none)
+      if (planet1.data.declination == null || planet2.data.declination == null) continue;
+
+      const declinationType = determineDeclinationAspectType(
+        planet1.data.declination,
+        planet2.data.declination
+      );
+
+      if (declinationType) {
+        aspects.push({
+          planet1: planet1.name,
+          planet2: planet2.name,
+          type: declinationType.name,
+          declination1: planet1.data.declination.toFixed(2),
+          declination2: planet2.data.declination.toFixed(2),
+          orb: declinationType.orb.toFixed(2),
+          symbol: declinationType.symbol
+        });
+
+        if (!quiet) console.log(`  ${planet1.name} ${declinationType.symbol} ${planet2.name} (dec ${planet1.data.declination.toFixed(1)}° / ${planet2.data.declination.toFixed(1)}°, orb: ${declinationType.orb.toFixed(1)}°)`);
       }
     }
   }
   
-  console.log(`✅ Found ${aspects.length} aspects`);
+  if (!quiet) console.log(`✅ Found ${aspects.length} aspects`);
   return aspects;
 }
 
@@ -283,6 +349,21 @@ function determineAspectType(angle) {
   return null;
 }
 
+// Determine parallel (same declination) or contra-parallel (mirrored across the equator)
+function determineDeclinationAspectType(dec1, dec2) {
+  const parallelOrb = Math.abs(dec1 - dec2);
+  const contraOrb = Math.abs(dec1 + dec2);
+
+  if (parallelOrb <= ORBS.parallel && parallelOrb <= contraOrb) {
+    return { name: 'Parallel', symbol: '∥', orb: parallelOrb };
+  }
+  if (contraOrb <= ORBS.contraParallel) {
+    return { name: 'Contra-parallel', symbol: '⋕', orb: contraOrb };
+  }
+
+  return null;
+}
+
 // Export chart as JSON
 export function exportChartAsJSON(chart) {
   return JSON.stringify(chart, null, 2);
@@ -0,0 +1,194 @@
+// ============================================
+// CHART SETTINGS
+// Calculation preferences stored with the user's profile
+// ============================================
+
+import { HOUSE_SYSTEMS, DEFAULT_HOUSE_SYSTEM, AYANAMSAS, DEFAULT_ZODIAC, DEFAULT_AYANAMSA } from './astrology-core.js';
+import { EPHEMERIS_PROVIDERS, DEFAULT_EPHEMERIS_ENGINE, setEphemerisEngine } from './ephemeris-provider.js';
+import { syncEphemerisCacheSettings } from './ephemeris-cache.js';
+
+const DEFAULT_SETTINGS = {
+  houseSystem: DEFAULT_HOUSE_SYSTEM,
+  zodiac: DEFAULT_ZODIAC,
+  ayanamsa: DEFAULT_AYANAMSA,
+  engine: DEFAULT_EPHEMERIS_ENGINE,
+  topocentric: false // Moon seen from the chart's place instead of the Earth's center
+};
+
+/**
+ * Get the chart settings of the registered user
+ * Missing values fall back to the defaults.
+ * @returns {object} {houseSystem, zodiac, ayanamsa, engine, topocentric}
+ */
+export function getChartSettings() {
+  let saved = {};
+  try {
+    const userData = JSON.parse(localStorage.getItem('userRegistrationData'));
+    saved = (userData && userData.settings) || {};
+  } catch (e) {
+    console.warn('Failed to parse userRegistrationData', e);
+  }
+
+  return { ...DEFAULT_SETTINGS, ...saved };
+}
+
+/**
+ * Save changed settings into the stored profile and announce the change
+ * Listeners recalculate whatever depends on the settings (birth chart, transits).
+ * @param {object} changes - Settings to update, e.g. {houseSystem: 'Koch'}
+ * @returns {object} The full settings after the update
+ */
+export function saveChartSettings(changes) {
+  const settings = { ...getChartSettings(), ...changes };
+  applyChartSettings(settings);
+
+  const raw = localStorage.getItem('userRegistrationData');
+  if (!raw) {
+    console.warn('No registered user - chart settings not saved');
+    return settings;
+  }
+
+  try {
+    const userData = JSON.parse(raw);
+    userData.settings = settings;
+    localStorage.setItem('userRegistrationData', JSON.stringify(userData));
+  } catch (e) {
+    console.error('Failed to save chart settings', e);
+    return settings;
+  }
+
+  document.dispatchEvent(new CustomEvent('chart-settings-change', {
+    detail: { settings },
+    bubbles: true
+  }));
+
+  return settings;
+}
+
+/**
+ * Make the ephemeris use the engine (and cache frame) of the given settings
+ * Needed whenever the stored settings change without saveChartSettings (profile switch).
+ * @param {object} settings - Defaults to the stored settings
+ */
+export function applyChartSettings(settings = getChartSettings()) {
+  setEphemerisEngine(settings.engine);
+  syncEphemerisCacheSettings(settings);
+}
+
+/**
+ * Fill a <select> with the available house systems
+ * @param {HTMLSelectElement} selectElement
+ * @param {string} selected - House system to preselect
+ */
+export function populateHouseSystemSelect(selectElement, selected = DEFAULT_HOUSE_SYSTEM) {
+  selectElement.innerHTML = '';
+  for (const system of HOUSE_SYSTEMS) {
+    const option = document.createElement('option');
+    option.value = system;
+    option.textContent = system;
+    option.selected = system === selected;
+    selectElement.appendChild(option);
+  }
+}
+
+/**
+ * Fill a <select> with the ephemeris engines
+ * @param {HTMLSelectElement} selectElement
+ * @param {string} selected - Engine to preselect
+ */
+export function populateEngineSelect(selectElement, selected = DEFAULT_EPHEMERIS_ENGINE) {
+  selectElement.innerHTML = '';
+  for (const provider of EPHEMERIS_PROVIDERS) {
+    const option = document.createElement('option');
+    option.value = provider.name;
+    option.textContent = provider.label;
+    option.title = provider.precision;
+    option.selected = provider.name === selected;
+    selectElement.appendChild(option);
+  }
+}
+
+/**
+ * Fill a <select> with the zodiac choices
+ * Tropical plus one "Sidereal (ayanamsa)" option per ayanamsa.
+ * @param {HTMLSelectElement} selectElement
+ * @param {object} settings - Current {zodiac, ayanamsa}
+ */
+export function populateZodiacSelect(selectElement, settings = DEFAULT_SETTINGS) {
+  selectElement.innerHTML = '';
+
+  const tropical = document.createElement('option');
+  tropical.value = 'Tropical';
+  tropical.textContent = 'Tropical';
+  selectElement.appendChild(tropical);
+
+  for (const ayanamsa of Object.keys(AYANAMSAS)) {
+    const option = document.createElement('option');
+    option.value = `Sidereal:${ayanamsa}`;
+    option.textContent = `Sidereal (${ayanamsa})`;
+    selectElement.appendChild(option);
+  }
+
+  selectElement.value = getZodiacSelectValue(settings);
+}
+
+/**
+ * Read {zodiac, ayanamsa} back from a select filled by populateZodiacSelect
+ * @param {HTMLSelectElement} selectElement
+ * @returns {object} {zodiac, ayanamsa}
+ */
+export function readZodiacSelect(selectElement) {
+  const [zodiac, ayanamsa] = selectElement.value.split(':');
+  return { zodiac, ayanamsa: ayanamsa || DEFAULT_AYANAMSA };
+}
+
+function getZodiacSelectValue(settings) {
+  return settings.zodiac === 'Sidereal' ? `Sidereal:${settings.ayanamsa || DEFAULT_AYANAMSA}` : 'Tropical';
+}
+
+/**
+ * Wire up the settings controls in the sidebar
+ */
+export function initChartSettings() {
+  const houseSystemSelect = document.querySelector('[data-chart-settings-house-system]');
+  const zodiacSelect = document.querySelector('[data-chart-settings-zodiac]');
+  const engineSelect = document.querySelector('[data-chart-settings-engine]');
+  const topocentricCheckbox = document.querySelector('[data-chart-settings-topocentric]');
+  if (!houseSystemSelect || !zodiacSelect || !engineSelect || !topocentricCheckbox) return;
+
+  const settings = getChartSettings();
+  populateHouseSystemSelect(houseSystemSelect, settings.houseSystem);
+  populateZodiacSelect(zodiacSelect, settings);
+  populateEngineSelect(engineSelect, settings.engine);
+  topocentricCheckbox.checked = settings.topocentric;
+
+  houseSystemSelect.addEventListener('change', () => {
+    saveChartSettings({ houseSystem: houseSystemSelect.value });
+  });
+
+  zodiacSelect.addEventListener('change', () => {
+    saveChartSettings(readZodiacSelect(zodiacSelect));
+  });
+
+  engineSelect.addEventListener('change', () => {
+    saveChartSettings({ engine: engineSelect.value });
+  });
+
+  topocentricCheckbox.addEventListener('change', () => {
+    saveChartSettings({ topocentric: topocentricCheckbox.checked });
+  });
+
+  // Registration can change the settings too - keep the controls in sync
+  document.addEventListener('event-change', () => {
+    const current = getChartSettings();
+    houseSystemSelect.value = current.houseSystem;
+    zodiacSelect.value = getZodiacSelectValue(current);
+    engineSelect.value = current.engine;
+    topocentricCheckbox.checked = current.topocentric;
+  });
+}
+
+// Calculations made before the settings UI is wired must already use the saved engine
+applyChartSettings();
+
+console.log('⚙️ Chart Settings module loaded');
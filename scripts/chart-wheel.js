@@ -0,0 +1,188 @@
+// ============================================
+// CHART WHEEL
+// Draws a chart as an SVG zodiac wheel: sign ring, house cusps, planet glyphs
+// (spread apart where they would overlap) and aspect lines.
+// The wheel is laid out in a fixed viewBox, so it scales with whatever width the
+// sidebar has (see sidebar-resize.js); it can be downloaded as a standalone .svg file.
+// ============================================
+
+import { PLANET_SYMBOLS, POINT_NAMES, ZODIAC_SIGNS, ZODIAC_SYMBOLS, PLANETS } from './astrology-core.js';
+import { calculateAspects } from './birth-chart.js';
+import { aspectColor } from './transit-events.js';
+
+const SIZE = 400;
+const CENTER = SIZE / 2;
+
+// Ring radii (viewBox units)
+const RADIUS = {
+  labels: 193, // AC / MC labels, outside the wheel
+  outer: 184,
+  signs: 156, // inner edge of the sign ring
+  planets: 130, // planet glyphs
+  houses: 106, // inner edge of the planet ring; house numbers sit inside it
+  aspects: 84 // aspect lines are drawn within this circle
+};
+
+// Glyphs closer than this are spread apart (degrees along the planet ring)
+const MIN_GLYPH_SEPARATION = 8;
+
+// Drawn bodies: the mean node is left out (same glyph as the true node)
+const WHEEL_BODIES = [...PLANETS, 'trueNode', 'lilith', 'chiron', 'partOfFortune'];
+
+// Sign glyph colors by element
+const ELEMENT_COLORS = ['#dc2626', '#16a34a', '#ca8a04', '#2563eb']; // fire, earth, air, water
+
+// Text presentation selector: keeps sign glyphs from rendering as emoji
+const TEXT_STYLE = '\uFE0E';
+
+const LINE_COLOR = '#9ca3af';
+const TEXT_COLOR = '#111827';
+
+/**
+ * Build the SVG markup of a chart wheel
+ * The Ascendant is drawn on the left (0° Aries when the chart has no angles).
+ * @param {object} chart - Chart as from calculateBirthChart() / calculateCurrentChart()
+ * @returns {string} Standalone <svg> markup ('' when the chart has no planets)
+ */
+export function createChartWheelSVG(chart) {
+  if (!chart || !chart.sun) return '';
+
+  const ascendant = chart.ascendant ? chart.ascendant.absoluteDegree : 0;
+  // Longitude -> point on the wheel (zodiac runs counterclockwise from the Ascendant)
+  const point = (longitude, radius) => {
+    const angle = (180 + longitude - ascendant) * Math.PI / 180;
+    return { x: round(CENTER + radius * Math.cos(angle)), y: round(CENTER - radius * Math.sin(angle)) };
+  };
+  const line = (longitude, from, to, attributes) => {
+    const a = point(longitude, from);
+    const b = point(longitude, to);
+    return `<line x1="${a.x}" y1="${a.y}" x2="${b.x}" y2="${b.y}" ${attributes}/>`;
+  };
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SIZE} ${SIZE}" class="chart-wheel__svg" font-family="ui-sans-serif, system-ui, sans-serif" role="img" aria-label="Chart wheel">`;
+  svg += `<circle cx="${CENTER}" cy="${CENTER}" r="${RADIUS.outer}" fill="#ffffff" stroke="${LINE_COLOR}"/>`;
+  svg += `<circle cx="${CENTER}" cy="${CENTER}" r="${RADIUS.signs}" fill="none" stroke="${LINE_COLOR}"/>`;
+  svg += `<circle cx="${CENTER}" cy="${CENTER}" r="${RADIUS.houses}" fill="none" stroke="${LINE_COLOR}" stroke-opacity="0.5"/>`;
+  svg += `<circle cx="${CENTER}" cy="${CENTER}" r="${RADIUS.aspects}" fill="none" stroke="${LINE_COLOR}"/>`;
+
+  // Sign ring: boundaries, glyphs and a tick every 10°
+  Object.entries(ZODIAC_SIGNS).forEach(([sign, start], index) => {
+    svg += line(start, RADIUS.signs, RADIUS.outer, `stroke="${LINE_COLOR}"`);
+    for (let degree = 10; degree < 30; degree += 10) {
+      svg += line(start + degree, RADIUS.signs, RADIUS.signs + 5, `stroke="${LINE_COLOR}"`);
+    }
+    const glyph = point(start + 15, (RADIUS.signs + RADIUS.outer) / 2);
+    svg += `<text x="${glyph.x}" y="${glyph.y}" font-size="18" text-anchor="middle" dominant-baseline="central" fill="${ELEMENT_COLORS[index % 4]}"><title>${sign}</title>${ZODIAC_SYMBOLS[sign]}${TEXT_STYLE}</text>`;
+  });
+
+  // House cusps and numbers
+  const cusps = (chart.houses || []).map((house) => house.absoluteDegree);
+  if (cusps.length === 12) {
+    cusps.forEach((cusp, i) => {
+      svg += line(cusp, RADIUS.aspects, RADIUS.signs, `stroke="${LINE_COLOR}"`);
+
+      const houseSize = (((cusps[(i + 1) % 12] - cusp) % 360) + 360) % 360;
+      const middle = cusp + houseSize / 2;
+      const label = point(middle, (RADIUS.aspects + RADIUS.houses) / 2);
+      svg += `<text x="${label.x}" y="${label.y}" font-size="10" text-anchor="middle" dominant-baseline="central" fill="${LINE_COLOR}">${i + 1}</text>`;
+    });
+  }
+
+  // Angles: the horizon and meridian across the planet ring (they need not fall on a
+  // cusp, e.g. with whole sign houses), labelled outside the wheel
+  for (const [key, label] of [['ascendant', 'AC'], ['midheaven', 'MC']]) {
+    if (!chart[key]) continue;
+    const position = point(chart[key].absoluteDegree, RADIUS.labels);
+    svg += line(chart[key].absoluteDegree, RADIUS.aspects, RADIUS.signs, `stroke="${TEXT_COLOR}" stroke-width="1.5"`);
+    svg += line(chart[key].absoluteDegree + 180, RADIUS.aspects, RADIUS.signs, `stroke="${TEXT_COLOR}" stroke-width="1.5"`);
+    svg += `<text x="${position.x}" y="${position.y}" font-size="9" font-weight="600" text-anchor="middle" dominant-baseline="central" fill="${TEXT_COLOR}">${label}</text>`;
+  }
+
+  // Aspect lines between the planets (longitude aspects only)
+  for (const aspect of calculateAspects(chart, { quiet: true })) {
+    const a = chart[aspect.planet1.toLowerCase()];
+    const b = chart[aspect.planet2.toLowerCase()];
+    if (aspect.angle == null || !a || !b) continue;
+
+    const from = point(a.absoluteDegree, RADIUS.aspects);
+    const to = point(b.absoluteDegree, RADIUS.aspects);
+    svg += `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${aspectColor(aspect.type)}" stroke-width="1" stroke-opacity="0.8"><title>${aspect.planet1} ${aspect.type.toLowerCase()} ${aspect.planet2} (orb ${aspect.orb}°)</title></line>`;
+  }
+
+  // Planets: a tick at the exact degree, the glyph at its (spread out) place
+  const bodies = WHEEL_BODIES.filter((key) => chart[key] && chart[key].absoluteDegree != null);
+  const glyphLongitudes = spreadLongitudes(bodies.map((key) => chart[key].absoluteDegree));
+
+  bodies.forEach((key, i) => {
+    const data = chart[key];
+    const name = POINT_NAMES[key] || key[0].toUpperCase() + key.slice(1);
+    const glyph = point(glyphLongitudes[i], RADIUS.planets);
+    const tickEnd = point(glyphLongitudes[i], RADIUS.planets + 12);
+
+    svg += line(data.absoluteDegree, RADIUS.signs - 6, RADIUS.signs, `stroke="${TEXT_COLOR}"`);
+    const tickStart = point(data.absoluteDegree, RADIUS.signs - 6);
+    svg += `<line x1="${tickStart.x}" y1="${tickStart.y}" x2="${tickEnd.x}" y2="${tickEnd.y}" stroke="${LINE_COLOR}" stroke-width="0.75"/>`;
+    svg += `<text x="${glyph.x}" y="${glyph.y}" font-size="16" text-anchor="middle" dominant-baseline="central" fill="${data.retrograde ? '#db2777' : '#2563eb'}"><title>${name} ${data.degree}° ${data.sign}${data.retrograde ? ' ℞' : ''}</title>${PLANET_SYMBOLS[key]}${TEXT_STYLE}</text>`;
+  });
+
+  svg += '</svg>';
+  return svg;
+}
+
+/**
+ * Download a rendered wheel as an .svg file
+ * @param {SVGElement} svgElement - Wheel in the page
+ * @param {string} fileName - e.g. 'birth-chart.svg'
+ */
+export function exportChartWheel(svgElement, fileName) {
+  const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svgElement);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked once the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Spread longitudes so no two are closer than MIN_GLYPH_SEPARATION, moving each as
+ * little as possible (neighbours push each other apart until they fit)
+ * @param {Array<number>} longitudes
+ * @returns {Array<number>} Display longitudes, in the input order
+ */
+function spreadLongitudes(longitudes) {
+  const items = longitudes
+    .map((longitude, index) => ({ index, longitude: ((longitude % 360) + 360) % 360 }))
+    .sort((a, b) => a.longitude - b.longitude);
+  if (items.length < 2) return longitudes.slice();
+
+  for (let pass = 0; pass < 50; pass++) {
+    let moved = false;
+    for (let i = 0; i < items.length; i++) {
+      const current = items[i];
+      const next = items[(i + 1) % items.length];
+      const gap = (((next.longitude - current.longitude) % 360) + 360) % 360;
+      if (gap >= MIN_GLYPH_SEPARATION - 0.01) continue;
+
+      const push = (MIN_GLYPH_SEPARATION - gap) / 2;
+      current.longitude -= push;
+      next.longitude += push;
+      moved = true;
+    }
+    if (!moved) break;
+  }
+
+  const result = [];
+  for (const item of items) result[item.index] = item.longitude;
+  return result;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+console.log('🎡 Chart Wheel module loaded');
@@ -1,16 +1,17 @@
 // Calculate the current chart (planets + houses + planet-in-house) for a given location
-// Uses ephemeris.js (Astronomy Engine wrapper) already present in the repo.
+// Uses ephemeris.js (on top of the selected ephemeris engine) already present in the repo.
 
 import { initAstronomy, calculatePlanetPosition, calculateHouses } from './ephemeris.js';
+import { calculatePartOfFortune, calculateAyanamsa, DEFAULT_ZODIAC, DEFAULT_AYANAMSA } from './astrology-core.js';
 
-// Planet list (same order used elsewhere)
-const PLANETS = ['Sun','Moon','Mercury','Venus','Mars','Jupiter','Saturn','Uranus','Neptune','Pluto'];
+// Planet list (same order used elsewhere), followed by the calculated points
+const PLANETS = ['Sun','Moon','Mercury','Venus','Mars','Jupiter','Saturn','Uranus','Neptune','Pluto','MeanNode','TrueNode','Lilith','Chiron'];
 
 /**
  * Helper: find which house a planet is in given house cusp array (absolute degrees)
- * Copied logic compatible with birth-chart.js
+ * Copied logic compatible with birth-chart.js (also used by progressed-chart.js)
  */
-function getPlanetHouse(planetAbsoluteDegree, houseCuspDegrees) {
+export function getPlanetHouse(planetAbsoluteDegree, houseCuspDegrees) {
   for (let i = 0; i < 12; i++) {
     const currentCusp = houseCuspDegrees[i];
     const nextCusp = houseCuspDegrees[(i + 1) % 12];
@@ -29,18 +30,29 @@ function getPlanetHouse(planetAbsoluteDegree, houseCuspDegrees) {
   return 1;
 }
 
+// Body name -> chart key (Sun -> sun, MeanNode -> meanNode)
+function toChartKey(bodyName) {
+  return bodyName[0].toLowerCase() + bodyName.slice(1);
+}
+
 /**
  * Calculate current chart for a location (latitude, longitude).
  * date parameter is optional; defaults to new Date() (current instant).
+ * settings.houseSystem selects the house system (defaults to Placidus);
+ * settings.zodiac / settings.ayanamsa select tropical or sidereal positions;
+ * settings.topocentric computes the Moon as seen from latitude/longitude.
  *
  * Returns an object shaped similarly to the calculateBirthChart() output:
  * { metadata: {...}, sun: {...}, moon: {...}, ... , ascendant, midheaven, houses: [...] }
  */
-export async function calculateCurrentChart(latitude, longitude, date = new Date()) {
-  const ready = await initAstronomy();
-  if (!ready) throw new Error('Astronomy Engine not available');
+export async function calculateCurrentChart(latitude, longitude, date = new Date(), settings = {}) {
+  await initAstronomy();
 
   const chartDate = (date instanceof Date) ? date : new Date(date);
+  const positionSettings = {
+    ...settings,
+    observer: settings.topocentric ? { latitude, longitude } : null
+  };
 
   const chart = {
     metadata: {
@@ -48,27 +60,42 @@ export async function calculateCurrentChart(latitude, longitude, date = new Date
       latitude,
       longitude,
       calculatedAt: new Date().toISOString()
-    }
+    },
+    zodiac: settings.zodiac || DEFAULT_ZODIAC,
+    topocentric: Boolean(positionSettings.observer)
   };
 
+  if (chart.zodiac === 'Sidereal') {
+    chart.ayanamsa = settings.ayanamsa || DEFAULT_AYANAMSA;
+    chart.ayanamsaDegrees = calculateAyanamsa(chart.ayanamsa, chartDate);
+  }
+
   // Compute planetary positions (calculatePlanetPosition from ephemeris returns {sign, degree, absoluteDegree})
   for (const planet of PLANETS) {
-    const key = planet.toLowerCase();
+    const key = toChartKey(planet);
     try {
-      chart[key] = calculatePlanetPosition(planet, chartDate);
+      chart[key] = calculatePlanetPosition(planet, chartDate, positionSettings);
     } catch (err) {
       console.warn(`Failed to calculate ${planet}:`, err);
       chart[key] = null;
     }
   }
 
-  // Calculate houses (Placidus or fallback) for the given datetime & location
+  // Calculate houses (chosen system or fallback) for the given datetime & location
   try {
-    const housesData = calculateHouses(chartDate, latitude, longitude);
+    const housesData = calculateHouses(chartDate, latitude, longitude, settings);
     if (housesData) {
       chart.ascendant = housesData.ascendant;
       chart.midheaven = housesData.midheaven;
       chart.houses = housesData.houses;
+      chart.houseSystem = housesData.houseSystem;
+      if (chart.sun && chart.moon) {
+        chart.partOfFortune = calculatePartOfFortune(
+          housesData.ascendant.absoluteDegree,
+          chart.sun.absoluteDegree,
+          chart.moon.absoluteDegree
+        );
+      }
     } else {
       chart.houses = [];
     }
@@ -76,8 +103,7 @@ export async function calculateCurrentChart(latitude, longitude, date = new Date
     // assign house numbers to planets if possible
     if (chart.houses && chart.houses.length === 12) {
       const houseCuspDegrees = chart.houses.map(h => h.absoluteDegree || h);
-      for (const planet of PLANETS) {
-        const key = planet.toLowerCase();
+      for (const key of [...PLANETS.map(toChartKey), 'partOfFortune']) {
         if (chart[key] && chart[key].absoluteDegree != null) {
           chart[key].house = getPlanetHouse(chart[key].absoluteDegree, houseCuspDegrees);
         }
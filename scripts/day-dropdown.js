@@ -4,6 +4,9 @@
 
 import { initStaticEvent } from './event.js';
 import { getTransitEventsForDate } from './transit-events.js';
+import { getCachedTransitEvents } from './transit-range.js';
+import { POINT_NAMES } from './astrology-core.js';
+import { createRiseSetElement } from './rise-set.js';
 
 const TOP_IN_PILL = 2; // <-- show only 2 aspects in the in-cell dropdown
 
@@ -144,7 +147,7 @@ function openRightDrawer(calendarDay, allTransits) {
   transitSelect.innerHTML = '';
   { const o = document.createElement('option'); o.value = 'all'; o.textContent = 'All'; transitSelect.appendChild(o); }
   Array.from(transitSet).sort().forEach(val => {
-    const o = document.createElement('option'); o.value = val; o.textContent = val[0].toUpperCase() + val.slice(1); transitSelect.appendChild(o);
+    const o = document.createElement('option'); o.value = val; o.textContent = POINT_NAMES[val] || val[0].toUpperCase() + val.slice(1); transitSelect.appendChild(o);
   });
 
   aspectSelect.innerHTML = '';
@@ -236,6 +239,9 @@ export function attachDayDropdown(calendarDayElement, calendarDay, eventStore) {
     const header = document.createElement('div');
     header.className = 'day-dropdown__panel-header';
     header.textContent = calendarDay.toDateString();
+    // Sun and Moon rise/set for the saved (or chosen) location
+    const riseSet = createRiseSetElement(calendarDay, true);
+    if (riseSet) header.appendChild(riseSet);
     panelEl.appendChild(header);
 
     // list
@@ -269,7 +275,8 @@ export function attachDayDropdown(calendarDayElement, calendarDay, eventStore) {
 
     if (!loaded) {
       try {
-        allTransits = await Promise.resolve(getTransitEventsForDate(calendarDay));
+        // Reuse what the month view's transit worker already computed for this day
+        allTransits = await Promise.resolve(getCachedTransitEvents(calendarDay) || getTransitEventsForDate(calendarDay));
         loaded = true;
       } catch (err) {
         console.error('Error fetching transits', err);
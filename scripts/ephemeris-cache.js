@@ -0,0 +1,222 @@
+// ============================================
+// EPHEMERIS CACHE
+// Positions sampled at fixed time steps per body, interpolated in between and
+// persisted in IndexedDB, so revisiting a month or year does not recompute them.
+// - Samples hold the zodiac longitude and the equatorial coordinates of date, tagged
+//   with the frame (engine + zodiac) they were computed in.
+// - A cubic through the four surrounding samples stays within EPHEMERIS_CACHE_PRECISION
+//   of the direct calculation (steps below were chosen with ~10x margin, 2020-2026).
+// - Samples are kept in blocks of BLOCK_SAMPLES, keyed by body and block start time.
+//   Lookups are synchronous (memory); IndexedDB is loaded and written in the background.
+// - The whole cache is cleared when the engine or zodiac chart settings change.
+// ============================================
+
+/** Maximum interpolation error, degrees (longitude, right ascension and declination) */
+export const EPHEMERIS_CACHE_PRECISION = 0.001;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Sampling step per cached body; other points (nodes, Lilith) are cheap to compute directly
+const SAMPLE_STEPS_MS = {
+  Moon: 6 * HOUR_MS,
+  Mercury: 12 * HOUR_MS,
+  Venus: DAY_MS,
+  Mars: 2 * DAY_MS,
+  Sun: 4 * DAY_MS,
+  Jupiter: 4 * DAY_MS,
+  Saturn: 4 * DAY_MS,
+  Chiron: 4 * DAY_MS,
+  Uranus: 8 * DAY_MS,
+  Neptune: 8 * DAY_MS,
+  Pluto: 8 * DAY_MS
+};
+
+const BLOCK_SAMPLES = 256;
+const VALUES_PER_SAMPLE = 3; // longitude, rightAscension, declination
+
+const DB_NAME = 'ephemeris-cache';
+const DB_VERSION = 1;
+const BLOCK_STORE = 'blocks';
+const META_STORE = 'meta';
+const FLUSH_DELAY_MS = 2000;
+
+const blocks = new Map();     // 'frame|body|start' -> {key, frame, body, start, values: Float64Array (NaN = not sampled yet)}
+const dirtyBlocks = new Set(); // block keys to write to IndexedDB
+let flushTimer = null;
+let databasePromise = null;   // opened on first use; resolves to null without IndexedDB
+
+/**
+ * Interpolated position of a body from the cache, sampling it on first use
+ * @param {string} bodyName - Body name (as in calculatePlanetPosition)
+ * @param {Date} date - JavaScript Date object
+ * @param {string} frame - Engine and zodiac the values are in, e.g. 'astronomy-engine|Tropical'
+ * @param {function(Date): object} compute - Direct calculation of {longitude, rightAscension, declination}
+ * @returns {object|null} {longitude, rightAscension, declination}; null when the body is not cached
+ */
+export function getCachedPosition(bodyName, date, frame, compute) {
+  const stepMs = SAMPLE_STEPS_MS[bodyName];
+  if (!stepMs) return null;
+
+  openDatabase();
+
+  const position = date.getTime() / stepMs;
+  const index = Math.floor(position);
+  const fraction = position - index;
+  const samples = [index - 1, index, index + 1, index + 2].map((i) => getSample(bodyName, frame, stepMs, i, compute));
+
+  if (fraction === 0) {
+    return { longitude: samples[1][0], rightAscension: samples[1][1], declination: samples[1][2] };
+  }
+
+  return {
+    longitude: interpolateAngle(samples.map((sample) => sample[0]), fraction),
+    rightAscension: interpolateAngle(samples.map((sample) => sample[1]), fraction),
+    declination: interpolateCubic(samples.map((sample) => sample[2]), fraction)
+  };
+}
+
+/**
+ * Clear the cache when the settings it was filled under change
+ * Called with the chart settings on load and after every change; the settings the
+ * cache belongs to are stored with it, so a change made in another tab is noticed too.
+ * @param {object} settings - Chart settings {engine, zodiac, ayanamsa}
+ */
+export function syncEphemerisCacheSettings(settings) {
+  const fingerprint = [settings.engine, settings.zodiac, settings.zodiac === 'Sidereal' ? settings.ayanamsa : ''].join('|');
+
+  openDatabase().then((database) => {
+    if (!database) return;
+
+    const transaction = database.transaction(META_STORE, 'readonly');
+    const request = transaction.objectStore(META_STORE).get('settings');
+    request.onsuccess = () => {
+      if (request.result && request.result.fingerprint === fingerprint) return;
+      clearEphemerisCache().then(() => {
+        database.transaction(META_STORE, 'readwrite').objectStore(META_STORE).put({ key: 'settings', fingerprint });
+      });
+    };
+  });
+}
+
+/**
+ * Drop every cached sample (memory and IndexedDB)
+ * @returns {Promise<void>}
+ */
+export function clearEphemerisCache() {
+  blocks.clear();
+  dirtyBlocks.clear();
+
+  return openDatabase().then((database) => {
+    if (!database) return;
+    return new Promise((resolve) => {
+      const transaction = database.transaction(BLOCK_STORE, 'readwrite');
+      transaction.objectStore(BLOCK_STORE).clear();
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => resolve();
+    });
+  });
+}
+
+// [longitude, rightAscension, declination] of sample number `index` (time index * stepMs)
+function getSample(bodyName, frame, stepMs, index, compute) {
+  const blockIndex = Math.floor(index / BLOCK_SAMPLES);
+  const start = blockIndex * BLOCK_SAMPLES * stepMs;
+  const key = `${frame}|${bodyName}|${start}`;
+
+  if (!blocks.has(key)) {
+    blocks.set(key, { key, frame, body: bodyName, start, values: new Float64Array(BLOCK_SAMPLES * VALUES_PER_SAMPLE).fill(NaN) });
+  }
+  const { values } = blocks.get(key);
+
+  const offset = (index - blockIndex * BLOCK_SAMPLES) * VALUES_PER_SAMPLE;
+  if (Number.isNaN(values[offset])) {
+    const { longitude, rightAscension, declination } = compute(new Date(index * stepMs));
+    values[offset] = longitude;
+    values[offset + 1] = rightAscension;
+    values[offset + 2] = declination;
+    dirtyBlocks.add(key);
+    scheduleFlush();
+  }
+
+  return values.subarray(offset, offset + VALUES_PER_SAMPLE);
+}
+
+// Cubic (4-point Lagrange) through samples at -1, 0, 1, 2, evaluated at fraction (0..1)
+function interpolateCubic([y0, y1, y2, y3], u) {
+  return -u * (u - 1) * (u - 2) / 6 * y0
+    + (u + 1) * (u - 1) * (u - 2) / 2 * y1
+    - (u + 1) * u * (u - 2) / 2 * y2
+    + (u + 1) * u * (u - 1) / 6 * y3;
+}
+
+// Same for angles in 0-360: unwrap around the second sample first
+function interpolateAngle(values, u) {
+  const unwrapped = values.map((value) => values[1] + ((value - values[1] + 540) % 360) - 180);
+  return ((interpolateCubic(unwrapped, u) % 360) + 360) % 360;
+}
+
+// Open the database once and merge what it holds into memory
+function openDatabase() {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(BLOCK_STORE, { keyPath: 'key' });
+      request.result.createObjectStore(META_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => {
+      loadBlocks(request.result);
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      console.warn('⚠️ Ephemeris cache: IndexedDB unavailable - caching in memory only', request.error);
+      resolve(null);
+    };
+  });
+
+  return databasePromise;
+}
+
+function loadBlocks(database) {
+  const request = database.transaction(BLOCK_STORE, 'readonly').objectStore(BLOCK_STORE).getAll();
+  request.onsuccess = () => {
+    for (const stored of request.result) {
+      const current = blocks.get(stored.key);
+      if (!current) {
+        blocks.set(stored.key, stored);
+        continue;
+      }
+      // Samples computed since startup stay; fill the gaps from storage
+      for (let i = 0; i < current.values.length; i++) {
+        if (Number.isNaN(current.values[i])) current.values[i] = stored.values[i];
+      }
+    }
+  };
+}
+
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(flushBlocks, FLUSH_DELAY_MS);
+}
+
+function flushBlocks() {
+  flushTimer = null;
+  openDatabase().then((database) => {
+    if (!database || dirtyBlocks.size === 0) return;
+
+    const store = database.transaction(BLOCK_STORE, 'readwrite').objectStore(BLOCK_STORE);
+    for (const key of dirtyBlocks) {
+      store.put(blocks.get(key));
+    }
+    dirtyBlocks.clear();
+  });
+}
+
+console.log('🗄️ Ephemeris cache module loaded');
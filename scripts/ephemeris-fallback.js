@@ -0,0 +1,368 @@
+// ============================================
+// FALLBACK EPHEMERIS - built-in low-precision engine
+// Used when Astronomy Engine is not available (e.g. the vendored script failed
+// to load) or when chosen in the chart settings.
+//
+// Method and precision:
+// - Planets: Keplerian elements with linear rates (Standish, "Keplerian Elements
+//   for Approximate Positions of the Major Planets", JPL, valid 1800-2050).
+//   Longitudes are good to about 1' for Mercury-Mars and a few arcminutes for
+//   the outer planets; light-time, aberration and nutation are ignored.
+// - Sun: from the Earth-Moon barycenter elements (error well below 1').
+// - Moon: the largest terms of the ELP-2000/82 series as given by Meeus,
+//   "Astronomical Algorithms" ch. 47 (about 0.01° in longitude).
+// - Precession: general precession in longitude; equatorial coordinates use the
+//   mean obliquity of date.
+// - Topocentric positions: the observer's place on the reference ellipsoid is
+//   subtracted in the equator-of-date frame (sea level).
+// - Rise/set and meridian transits: altitude and hour angle sampled and bisected
+//   to the minute (standard altitudes -0.833° for the Sun, parallax-corrected
+//   for the Moon).
+// - Eclipses are not available: the eclipse searches return null.
+// ============================================
+
+import { bisectTime, getJulianDay, getLocalSiderealTime } from './astrology-core.js';
+
+const toRad = Math.PI / 180;
+const J2000_OBLIQUITY = 23.4392911;
+
+// Sampling steps for the searches (each crossing is then bisected to the minute)
+const PHASE_SEARCH_STEP_MS = 12 * 60 * 60 * 1000;
+const HORIZON_SEARCH_STEP_MS = 60 * 60 * 1000;
+
+// Mean elements at J2000 and rates per Julian century:
+// [a (AU), e, I, L, long. perihelion, long. ascending node] (degrees, ecliptic J2000)
+const PLANET_ELEMENTS = {
+  Mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+            [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+  Venus:   [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+            [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+  Earth:   [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+            [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+  Mars:    [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+            [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+  Jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+            [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+  Saturn:  [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+            [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+  Uranus:  [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+            [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+  Neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+            [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]],
+  Pluto:   [[39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+            [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482]]
+};
+
+// Moon periodic terms (Meeus tables 47.A / 47.B): [D, M, M', F, longitude (1e-6 deg), distance (1e-3 km)]
+const MOON_LONGITUDE_DISTANCE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925], [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138], [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661], [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208], [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003], [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884], [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0]
+];
+
+// [D, M, M', F, latitude (1e-6 deg)]
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794]
+];
+
+const EARTH_RADIUS_KM = 6378.14;
+const AU_KM = 149597870.7;
+
+/**
+ * Fallback ephemeris provider (see ephemeris-provider.js for the interface)
+ */
+export const FALLBACK_PROVIDER = {
+  name: 'fallback',
+  label: 'Built-in (low precision)',
+  precision: 'About 1\' for the Sun, Moon and inner planets, a few arcminutes for the outer planets; no eclipses',
+
+  isAvailable() {
+    return true;
+  },
+
+  eclipticLongitude(bodyName, date, observer = null) {
+    return (observer ? topocentricEcliptic(bodyName, date, observer) : geocentricEcliptic(bodyName, date)).longitude;
+  },
+
+  equatorial(bodyName, date, observer = null) {
+    const { longitude, latitude } = observer ? topocentricEcliptic(bodyName, date, observer) : geocentricEcliptic(bodyName, date);
+    return eclipticToEquatorial(longitude, latitude, date);
+  },
+
+  earthVector(date) {
+    return eclipticToEquatorialJ2000(heliocentricEclipticJ2000('Earth', date));
+  },
+
+  eclipticLongitudeOfVector(vector, date) {
+    return precessLongitude(toSpherical(equatorialToEclipticJ2000(vector)).longitude, date);
+  },
+
+  equatorialOfVector(vector, date) {
+    const spherical = toSpherical(equatorialToEclipticJ2000(vector));
+    return eclipticToEquatorial(precessLongitude(spherical.longitude, date), spherical.latitude, date);
+  },
+
+  searchMoonPhase(elongation, startDate, limitDays) {
+    const elongationAt = (ms) => {
+      const date = new Date(ms);
+      return ((geocentricEcliptic('Moon', date).longitude - geocentricEcliptic('Sun', date).longitude - elongation) % 360 + 540) % 360 - 180;
+    };
+    // The elongation only increases, so the target is crossed from below
+    return searchRising(elongationAt, startDate, limitDays, PHASE_SEARCH_STEP_MS);
+  },
+
+  searchRiseSet(bodyName, location, direction, startDate, limitDays) {
+    const altitudeAt = (ms) => apparentAltitude(bodyName, new Date(ms), location);
+    const fn = direction > 0 ? altitudeAt : (ms) => -altitudeAt(ms);
+    return searchRising(fn, startDate, limitDays, HORIZON_SEARCH_STEP_MS);
+  },
+
+  searchMeridianTransit(bodyName, location, startDate) {
+    const hourAngleAt = (ms) => {
+      const date = new Date(ms);
+      const { rightAscension } = FALLBACK_PROVIDER.equatorial(bodyName, date);
+      const lst = getLocalSiderealTime(date, location.longitude) * 15;
+      return ((lst - rightAscension) % 360 + 540) % 360 - 180;
+    };
+    const date = searchRising(hourAngleAt, startDate, 2, HORIZON_SEARCH_STEP_MS);
+    if (!date) return null;
+
+    const { declination } = FALLBACK_PROVIDER.equatorial(bodyName, date);
+    return { date, altitude: 90 - Math.abs(location.latitude - declination) };
+  },
+
+  searchLunarEclipse() {
+    return null;
+  },
+
+  searchSolarEclipse() {
+    return null;
+  }
+};
+
+/**
+ * Geocentric ecliptic coordinates of date (mean equinox)
+ * @returns {object} {longitude, latitude} in degrees, distance in AU
+ */
+function geocentricEcliptic(bodyName, date) {
+  if (bodyName === 'Moon') return moonEcliptic(date);
+
+  const earth = heliocentricEclipticJ2000('Earth', date);
+  const body = bodyName === 'Sun' ? { x: 0, y: 0, z: 0 } : heliocentricEclipticJ2000(bodyName, date);
+  const spherical = toSpherical({ x: body.x - earth.x, y: body.y - earth.y, z: body.z - earth.z });
+
+  return { ...spherical, longitude: precessLongitude(spherical.longitude, date) };
+}
+
+/**
+ * Ecliptic coordinates of date as seen from the observer's place (parallax applied)
+ * @returns {object} {longitude, latitude} in degrees, distance in AU
+ */
+function topocentricEcliptic(bodyName, date, observer) {
+  const geocentric = geocentricEcliptic(bodyName, date);
+  const { rightAscension, declination } = eclipticToEquatorial(geocentric.longitude, geocentric.latitude, date);
+  const ra = rightAscension * toRad;
+  const dec = declination * toRad;
+
+  // Observer on the ellipsoid (flattening 1/298.257), equator of date, AU
+  const u = Math.atan(0.99664719 * Math.tan(observer.latitude * toRad));
+  const siteRadius = EARTH_RADIUS_KM / AU_KM;
+  const lst = getLocalSiderealTime(date, observer.longitude) * 15 * toRad;
+  const siteEquatorial = siteRadius * Math.cos(u);
+
+  const topocentric = toSpherical({
+    x: geocentric.distance * Math.cos(dec) * Math.cos(ra) - siteEquatorial * Math.cos(lst),
+    y: geocentric.distance * Math.cos(dec) * Math.sin(ra) - siteEquatorial * Math.sin(lst),
+    z: geocentric.distance * Math.sin(dec) - siteRadius * 0.99664719 * Math.sin(u)
+  });
+
+  // toSpherical gives right ascension / declination here; back to the ecliptic of date
+  return { ...equatorialToEcliptic(topocentric.longitude, topocentric.latitude, date), distance: topocentric.distance };
+}
+
+/**
+ * Heliocentric position from the mean elements (ecliptic and equinox J2000, AU)
+ */
+function heliocentricEclipticJ2000(bodyName, date) {
+  const elements = PLANET_ELEMENTS[bodyName];
+  if (!elements) throw new Error(`Fallback ephemeris has no elements for ${bodyName}`);
+
+  const T = centuriesSinceJ2000(date);
+  const [a, e, I, L, perihelion, node] = elements[0].map((value, i) => value + elements[1][i] * T);
+
+  // Mean anomaly in -180..180, then Kepler's equation E - e sin E = M
+  const M = ((L - perihelion) % 360 + 540) % 360 - 180;
+  let E = M * toRad + e * Math.sin(M * toRad);
+  for (let i = 0; i < 30; i++) {
+    const delta = (E - e * Math.sin(E) - M * toRad) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+
+  const xv = a * (Math.cos(E) - e);
+  const yv = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  const w = (perihelion - node) * toRad;
+  const o = node * toRad;
+  const inc = I * toRad;
+  return {
+    x: (Math.cos(w) * Math.cos(o) - Math.sin(w) * Math.sin(o) * Math.cos(inc)) * xv
+     + (-Math.sin(w) * Math.cos(o) - Math.cos(w) * Math.sin(o) * Math.cos(inc)) * yv,
+    y: (Math.cos(w) * Math.sin(o) + Math.sin(w) * Math.cos(o) * Math.cos(inc)) * xv
+     + (-Math.sin(w) * Math.sin(o) + Math.cos(w) * Math.cos(o) * Math.cos(inc)) * yv,
+    z: Math.sin(w) * Math.sin(inc) * xv + Math.cos(w) * Math.sin(inc) * yv
+  };
+}
+
+/**
+ * Moon longitude, latitude (mean equinox of date) and distance (Meeus ch. 47, truncated)
+ */
+function moonEcliptic(date) {
+  const T = centuriesSinceJ2000(date);
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T * T * T / 538841;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T * T * T / 545868;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T * T * T / 69699;
+  const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T;
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.290 * T;
+  const A3 = 313.45 + 481266.484 * T;
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+  // Terms with the Sun's anomaly shrink with the Earth's orbital eccentricity
+  const argument = (d, m, mp, f) => (d * D + m * M + mp * Mp + f * F) * toRad;
+  const eccentricity = (m) => Math.pow(E, Math.abs(m));
+
+  let sumL = 3958 * Math.sin(A1 * toRad) + 1962 * Math.sin((Lp - F) * toRad) + 318 * Math.sin(A2 * toRad);
+  let sumR = 0;
+  for (const [d, m, mp, f, l, r] of MOON_LONGITUDE_DISTANCE_TERMS) {
+    const arg = argument(d, m, mp, f);
+    sumL += l * eccentricity(m) * Math.sin(arg);
+    sumR += r * eccentricity(m) * Math.cos(arg);
+  }
+
+  let sumB = -2235 * Math.sin(Lp * toRad) + 382 * Math.sin(A3 * toRad) + 175 * Math.sin((A1 - F) * toRad)
+           + 175 * Math.sin((A1 + F) * toRad) + 127 * Math.sin((Lp - Mp) * toRad) - 115 * Math.sin((Lp + Mp) * toRad);
+  for (const [d, m, mp, f, b] of MOON_LATITUDE_TERMS) {
+    sumB += b * eccentricity(m) * Math.sin(argument(d, m, mp, f));
+  }
+
+  return {
+    longitude: ((Lp + sumL / 1e6) % 360 + 360) % 360,
+    latitude: sumB / 1e6,
+    distance: (385000.56 + sumR / 1000) / AU_KM
+  };
+}
+
+/**
+ * Altitude above the horizon minus the standard altitude of rising/setting
+ * (zero at rise and set; refraction and semi-diameter included, parallax for the Moon)
+ */
+function apparentAltitude(bodyName, date, location) {
+  const { longitude, latitude, distance } = geocentricEcliptic(bodyName, date);
+  const { rightAscension, declination } = eclipticToEquatorial(longitude, latitude, date);
+  const hourAngle = (getLocalSiderealTime(date, location.longitude) * 15 - rightAscension) * toRad;
+  const phi = location.latitude * toRad;
+  const dec = declination * toRad;
+
+  const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle)) / toRad;
+  const standardAltitude = bodyName === 'Moon'
+    ? 0.7275 * Math.asin(EARTH_RADIUS_KM / (distance * AU_KM)) / toRad - 0.5667
+    : -0.8333;
+
+  return altitude - standardAltitude;
+}
+
+/**
+ * First moment after startDate where fn goes from negative to positive
+ * @returns {Date|null} null when there is none within limitDays
+ */
+function searchRising(fn, startDate, limitDays, stepMs) {
+  const endMs = startDate.getTime() + limitDays * 86400000;
+  let t0 = startDate.getTime();
+  let v0 = fn(t0);
+
+  while (t0 < endMs) {
+    const t1 = Math.min(t0 + stepMs, endMs);
+    const v1 = fn(t1);
+    // Angles wrapped to -180..180 jump from +180 to -180; only real crossings are near zero
+    if (v0 < 0 && v1 >= 0 && v1 - v0 < 180) {
+      return new Date(bisectTime(fn, t0, t1));
+    }
+    t0 = t1;
+    v0 = v1;
+  }
+
+  return null;
+}
+
+function centuriesSinceJ2000(date) {
+  return (getJulianDay(date) - 2451545.0) / 36525;
+}
+
+// Ecliptic J2000 longitude -> mean equinox of date (general precession in longitude)
+function precessLongitude(longitude, date) {
+  const T = centuriesSinceJ2000(date);
+  return ((longitude + (5028.796195 * T + 1.1054348 * T * T) / 3600) % 360 + 360) % 360;
+}
+
+function meanObliquity(date) {
+  const T = centuriesSinceJ2000(date);
+  return 23.439291 - 0.0130042 * T - 0.00000164 * T * T + 0.000000504 * T * T * T;
+}
+
+function eclipticToEquatorial(longitude, latitude, date) {
+  const lon = longitude * toRad;
+  const lat = latitude * toRad;
+  const eps = meanObliquity(date) * toRad;
+
+  const ra = Math.atan2(Math.sin(lon) * Math.cos(eps) - Math.tan(lat) * Math.sin(eps), Math.cos(lon)) / toRad;
+  return {
+    rightAscension: (ra % 360 + 360) % 360,
+    declination: Math.asin(Math.sin(lat) * Math.cos(eps) + Math.cos(lat) * Math.sin(eps) * Math.sin(lon)) / toRad
+  };
+}
+
+function equatorialToEcliptic(rightAscension, declination, date) {
+  const ra = rightAscension * toRad;
+  const dec = declination * toRad;
+  const eps = meanObliquity(date) * toRad;
+
+  const lon = Math.atan2(Math.sin(ra) * Math.cos(eps) + Math.tan(dec) * Math.sin(eps), Math.cos(ra)) / toRad;
+  return {
+    longitude: (lon % 360 + 360) % 360,
+    latitude: Math.asin(Math.sin(dec) * Math.cos(eps) - Math.cos(dec) * Math.sin(eps) * Math.sin(ra)) / toRad
+  };
+}
+
+function toSpherical({ x, y, z }) {
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  return {
+    longitude: (Math.atan2(y, x) / toRad + 360) % 360,
+    latitude: Math.asin(z / distance) / toRad,
+    distance
+  };
+}
+
+function eclipticToEquatorialJ2000({ x, y, z }) {
+  const eps = J2000_OBLIQUITY * toRad;
+  return { x, y: y * Math.cos(eps) - z * Math.sin(eps), z: y * Math.sin(eps) + z * Math.cos(eps) };
+}
+
+function equatorialToEclipticJ2000({ x, y, z }) {
+  const eps = J2000_OBLIQUITY * toRad;
+  return { x, y: y * Math.cos(eps) + z * Math.sin(eps), z: -y * Math.sin(eps) + z * Math.cos(eps) };
+}
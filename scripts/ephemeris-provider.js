@@ -0,0 +1,169 @@
+// ============================================
+// EPHEMERIS PROVIDERS
+// The astronomical primitives ephemeris.js is built on, behind one interface.
+// - astronomy-engine: Astronomy Engine (vendored in /vendor/astronomy-engine), full precision
+// - fallback: built-in low-precision engine (ephemeris-fallback.js), always available
+// The chart settings pick the engine; when Astronomy Engine is chosen but not
+// loaded, the fallback takes over so charts still calculate.
+// ============================================
+
+import { FALLBACK_PROVIDER } from './ephemeris-fallback.js';
+
+/**
+ * @typedef {object} EphemerisProvider
+ * Bodies are 'Sun', 'Moon' and 'Mercury' ... 'Pluto'. Vectors are plain {x, y, z}
+ * (equatorial J2000, AU); angles are degrees; coordinates "of date" are tropical.
+ * An optional observer {latitude, longitude} makes positions topocentric (parallax).
+ * @property {string} name - Engine key stored in the chart settings
+ * @property {string} label - Name shown in the settings
+ * @property {string} precision - Short description of the accuracy
+ * @property {function(): boolean} isAvailable
+ * @property {function(string, Date, object=): number} eclipticLongitude - Ecliptic longitude of date (observer optional)
+ * @property {function(string, Date, object=): {rightAscension: number, declination: number}} equatorial - Equator of date (observer optional)
+ * @property {function(Date): object} earthVector - Heliocentric Earth vector (for orbits the engine lacks, e.g. Chiron)
+ * @property {function(object, Date): number} eclipticLongitudeOfVector - Geocentric vector -> ecliptic longitude of date
+ * @property {function(object, Date): {rightAscension: number, declination: number}} equatorialOfVector - Geocentric vector -> equator of date
+ * @property {function(number, Date, number): (Date|null)} searchMoonPhase - (elongation, start, limitDays)
+ * @property {function(string, object, number, Date, number): (Date|null)} searchRiseSet - (body, {latitude, longitude}, +1 rise / -1 set, start, limitDays)
+ * @property {function(string, object, Date): ({date: Date, altitude: number}|null)} searchMeridianTransit - (body, {latitude, longitude}, start)
+ * @property {function(Date): (object|null)} searchLunarEclipse - First lunar eclipse after a date: {kind, peak, penumbralMinutes, obscuration}
+ * @property {function(Date): (object|null)} searchSolarEclipse - First solar eclipse after a date: {kind, peak, obscuration}
+ */
+
+/**
+ * Astronomy Engine provider (window.Astronomy, or self.Astronomy inside a worker)
+ * @type {EphemerisProvider}
+ */
+export const ASTRONOMY_ENGINE_PROVIDER = {
+  name: 'astronomy-engine',
+  label: 'Astronomy Engine',
+  precision: 'About 1 arcminute or better (VSOP87 / ELP based), with eclipses',
+
+  isAvailable() {
+    return Boolean(globalThis.Astronomy && globalThis.Astronomy.AstroTime);
+  },
+
+  eclipticLongitude(bodyName, date, observer = null) {
+    const Astronomy = globalThis.Astronomy;
+    const astroTime = Astronomy.MakeTime(date);
+
+    // Sun is special - use SunPosition (geocentric by definition)
+    if (bodyName === 'Sun' && !observer) return Astronomy.SunPosition(astroTime).elon;
+    return Astronomy.Ecliptic(bodyVector(bodyName, astroTime, observer)).elon;
+  },
+
+  equatorial(bodyName, date, observer = null) {
+    const Astronomy = globalThis.Astronomy;
+    const astroTime = Astronomy.MakeTime(date);
+    return equatorOfDate(bodyVector(bodyName, astroTime, observer), astroTime);
+  },
+
+  earthVector(date) {
+    const Astronomy = globalThis.Astronomy;
+    const { x, y, z } = Astronomy.HelioVector(Astronomy.Body.Earth, Astronomy.MakeTime(date));
+    return { x, y, z };
+  },
+
+  eclipticLongitudeOfVector(vector, date) {
+    const Astronomy = globalThis.Astronomy;
+    const astroTime = Astronomy.MakeTime(date);
+    // Ecliptic() also applies precession to the equinox of date
+    return Astronomy.Ecliptic(new Astronomy.Vector(vector.x, vector.y, vector.z, astroTime)).elon;
+  },
+
+  equatorialOfVector(vector, date) {
+    const Astronomy = globalThis.Astronomy;
+    const astroTime = Astronomy.MakeTime(date);
+    return equatorOfDate(new Astronomy.Vector(vector.x, vector.y, vector.z, astroTime), astroTime);
+  },
+
+  searchMoonPhase(elongation, startDate, limitDays) {
+    const time = globalThis.Astronomy.SearchMoonPhase(elongation, startDate, limitDays);
+    return time ? time.date : null;
+  },
+
+  searchRiseSet(bodyName, location, direction, startDate, limitDays) {
+    const Astronomy = globalThis.Astronomy;
+    const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+    const time = Astronomy.SearchRiseSet(bodyName, observer, direction, startDate, limitDays);
+    return time ? time.date : null;
+  },
+
+  searchMeridianTransit(bodyName, location, startDate) {
+    const Astronomy = globalThis.Astronomy;
+    const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+    const event = Astronomy.SearchHourAngle(bodyName, observer, 0, startDate);
+    return { date: event.time.date, altitude: event.hor.altitude };
+  },
+
+  searchLunarEclipse(startDate) {
+    const eclipse = globalThis.Astronomy.SearchLunarEclipse(startDate);
+    return {
+      kind: eclipse.kind,
+      peak: eclipse.peak.date,
+      penumbralMinutes: eclipse.sd_penum,
+      obscuration: eclipse.obscuration
+    };
+  },
+
+  searchSolarEclipse(startDate) {
+    const eclipse = globalThis.Astronomy.SearchGlobalSolarEclipse(startDate);
+    return {
+      kind: eclipse.kind,
+      peak: eclipse.peak.date,
+      obscuration: eclipse.obscuration
+    };
+  }
+};
+
+// Geocentric J2000 vector (GeoMoon for the Moon, aberration-corrected GeoVector
+// otherwise); with an observer, seen from the observer's place on the surface
+function bodyVector(bodyName, astroTime, observer) {
+  const Astronomy = globalThis.Astronomy;
+  const vector = bodyName === 'Moon' ? Astronomy.GeoMoon(astroTime) : Astronomy.GeoVector(bodyName, astroTime, true);
+  if (!observer) return vector;
+
+  const site = Astronomy.ObserverVector(astroTime, new Astronomy.Observer(observer.latitude, observer.longitude, 0), false);
+  return new Astronomy.Vector(vector.x - site.x, vector.y - site.y, vector.z - site.z, astroTime);
+}
+
+// J2000 vector (EQJ) -> right ascension / declination of date (EQD)
+function equatorOfDate(geoVector, astroTime) {
+  const Astronomy = globalThis.Astronomy;
+  const rotation = Astronomy.Rotation_EQJ_EQD(astroTime);
+  const equator = Astronomy.EquatorFromVector(Astronomy.RotateVector(rotation, geoVector));
+
+  return {
+    rightAscension: equator.ra * 15,
+    declination: equator.dec
+  };
+}
+
+export const EPHEMERIS_PROVIDERS = [ASTRONOMY_ENGINE_PROVIDER, FALLBACK_PROVIDER];
+export const DEFAULT_EPHEMERIS_ENGINE = ASTRONOMY_ENGINE_PROVIDER.name;
+
+let selectedEngine = DEFAULT_EPHEMERIS_ENGINE;
+let warnedAboutFallback = false;
+
+/**
+ * Choose the engine used for all calculations (chart settings 'engine')
+ * @param {string} engine - Provider name; unknown names select the default
+ */
+export function setEphemerisEngine(engine) {
+  selectedEngine = EPHEMERIS_PROVIDERS.some((provider) => provider.name === engine) ? engine : DEFAULT_EPHEMERIS_ENGINE;
+}
+
+/**
+ * The provider to calculate with: the selected engine, or the fallback when it is unavailable
+ * @returns {EphemerisProvider}
+ */
+export function getEphemerisProvider() {
+  const selected = EPHEMERIS_PROVIDERS.find((provider) => provider.name === selectedEngine);
+  if (selected.isAvailable()) return selected;
+
+  if (!warnedAboutFallback) {
+    console.warn(`⚠️ ${selected.label} not available - using the ${FALLBACK_PROVIDER.label} ephemeris`);
+    warnedAboutFallback = true;
+  }
+  return FALLBACK_PROVIDER;
+}
@@ -1,107 +1,805 @@
 // ============================================
-// EPHEMERIS - Astronomy Engine Wrapper
-// Accurate astronomical calculations
+// EPHEMERIS - Astrological calculations
+// Built on the selected ephemeris engine (ephemeris-provider.js)
 // ============================================
 
-import { toZodiacPosition } from './astrology-core.js';
+import { toZodiacPosition, toZodiacLongitude, bisectTime, HOUSE_SYSTEMS, DEFAULT_HOUSE_SYSTEM, DEFAULT_AYANAMSA } from './astrology-core.js';
+import { getEphemerisProvider } from './ephemeris-provider.js';
+import { getCachedPosition } from './ephemeris-cache.js';
 
-let astronomyReady = false;
+// Planets stay retrograde for weeks, so a daily sample cannot miss a station
+const STATION_SEARCH_STEP_MS = 24 * 60 * 60 * 1000;
+
+// Boundary crossings are sampled every half day: even the Moon moves less than
+// 8° per step, so no planet can cross a boundary and back between two samples
+const INGRESS_SEARCH_STEP_MS = 12 * 60 * 60 * 1000;
+
+// Longest retrograde loop (outer planets, ~5 months) plus margin
+const REENTRY_LOOKBACK_MS = 200 * 24 * 60 * 60 * 1000;
+
+// Orb windows are walked in daily steps up to a bit over a year each way
+// (long enough for an outer planet's retrograde loop)
+const ORB_WINDOW_STEP_MS = 24 * 60 * 60 * 1000;
+const ORB_WINDOW_LIMIT_MS = 400 * 24 * 60 * 60 * 1000;
+
+// Void-of-course Moon: Ptolemaic aspects to the planets
+const MAJOR_ASPECT_ANGLES = [0, 60, 90, 120, 180];
+const VOID_OF_COURSE_BODIES = ['Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+
+// Moon phases by Sun-Moon elongation (degrees)
+const MOON_PHASES = [
+  { type: 'new', name: 'New Moon', elongation: 0 },
+  { type: 'first-quarter', name: 'First Quarter', elongation: 90 },
+  { type: 'full', name: 'Full Moon', elongation: 180 },
+  { type: 'last-quarter', name: 'Last Quarter', elongation: 270 }
+];
+
+// Bodies that get topocentric positions when settings.observer is set: the Moon's
+// parallax reaches about 1°, the Sun's and the planets' stay below 0.01°
+const TOPOCENTRIC_BODIES = ['Moon'];
+
+// Obliquity of the ecliptic at J2000 (degrees)
+const J2000_OBLIQUITY = 23.4392911;
+
+// Chiron (2060) heliocentric osculating elements, ecliptic and equinox J2000.
+// A fixed Keplerian orbit matches Chiron to ~0.1° between 1950 and 2050;
+// perturbations by Saturn and Uranus make it drift outside that range.
+const CHIRON_ELEMENTS = {
+  semiMajorAxis: 13.648,      // AU
+  eccentricity: 0.3831,
+  inclination: 6.935,         // degrees
+  ascendingNode: 209.38,      // degrees
+  argPerihelion: 339.56,      // degrees
+  perihelionJD: 2450128.2     // 1996-02-14
+};
 
 /**
- * Initialize Astronomy Engine
+ * Resolve the ephemeris engine before calculating
+ * Astronomy Engine is vendored and loaded before the modules; if it is missing
+ * anyway, the built-in fallback engine is used instead of failing.
+ * @returns {Promise<boolean>} Always true - a provider is always available
  */
 export async function initAstronomy() {
-  if (astronomyReady) return true;
-  
-  return new Promise((resolve) => {
-    if (window. Astronomy && window.Astronomy.AstroTime) {
-      astronomyReady = true;
-      console.log('✨ Astronomy Engine loaded! ');
-      resolve(true);
-    } else {
-      // Wait for library to load
-      let attempts = 0;
-      const checkInterval = setInterval(() => {
-        attempts++;
-        if (window.Astronomy && window.Astronomy.AstroTime) {
-          clearInterval(checkInterval);
-          astronomyReady = true;
-          console.log('✨ Astronomy Engine loaded!');
-          resolve(true);
-        } else if (attempts > 50) { // 5 seconds timeout
-          clearInterval(checkInterval);
-          console.error('❌ Astronomy Engine failed to load');
-          resolve(false);
-        }
-      }, 100);
-    }
-  });
+  const provider = getEphemerisProvider();
+  console.log(`✨ Ephemeris engine: ${provider.label}`);
+  return true;
 }
 
 /**
  * Calculate planet ecliptic longitude (GEOCENTRIC - viewed from Earth)
+ * Besides the planets, bodyName may be a calculated point:
+ * MeanNode, TrueNode (lunar north node), Lilith (mean Black Moon) or Chiron.
  * @param {string} bodyName - Planet name (Sun, Moon, Mercury, etc.)
  * @param {Date} date - JavaScript Date object
- * @returns {object} {sign, degree, absoluteDegree}
+ * @param {object} settings - Optional {zodiac, ayanamsa, observer}; defaults to tropical and geocentric.
+ *   observer {latitude, longitude} makes the Moon topocentric (parallax for that place)
+ * @returns {object} {sign, degree, absoluteDegree, speed, retrograde, declination, rightAscension, outOfBounds}
+ *   speed is the daily motion in longitude (degrees/day, negative when retrograde)
+ *   declination / rightAscension are equatorial coordinates of date in degrees
+ *   outOfBounds is true when |declination| exceeds the obliquity of the ecliptic
  */
-export function calculatePlanetPosition(bodyName, date) {
-  if (!window.Astronomy) {
-    console.error('Astronomy Engine not loaded');
+export function calculatePlanetPosition(bodyName, date, settings = {}) {
+  try {
+    const cached = getCachedZodiacPosition(bodyName, date, settings);
+    const longitude = cached ? cached.longitude : toZodiacLongitude(calculateEclipticLongitude(bodyName, date, settings.observer), date, settings);
+    const speed = cached ? calculateCachedLongitudeSpeed(bodyName, date, settings) : calculateLongitudeSpeed(bodyName, date, settings.observer);
+    const equatorial = cached || calculateEquatorialPosition(bodyName, date, settings.observer);
+    const obliquity = calculateObliquity((date.getTime() / 86400000) + 2440587.5);
+    
+    // Convert to zodiac position
+    const zodiacPos = toZodiacPosition(longitude);
+    
+    return {
+      ... zodiacPos,
+      absoluteDegree: longitude,
+      speed: speed,
+      retrograde: speed < 0,
+      declination: equatorial.declination,
+      rightAscension: equatorial.rightAscension,
+      // The Sun defines the ecliptic, so it can never be out of bounds
+      outOfBounds: bodyName !== 'Sun' && Math.abs(equatorial.declination) > obliquity
+    };
+    
+  } catch (error) {
+    console.error(`Error calculating ${bodyName}:`, error);
     return null;
   }
+}
+
+/**
+ * Find the exact moments a planet stations retrograde or direct
+ * Daily speed is sampled once per day; each sign change is refined by bisection.
+ * @param {string} bodyName - Planet name (Mercury ... Pluto; Sun and Moon never station)
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} settings - Optional {zodiac, ayanamsa} for the reported positions
+ * @returns {Array<object>} [{body, type: 'retrograde'|'direct', date, sign, degree, absoluteDegree}]
+ */
+export function findStations(bodyName, startDate, endDate, settings = {}) {
+  if (bodyName === 'Sun' || bodyName === 'Moon') return [];
+  
+  const stations = [];
+  const endMs = endDate.getTime();
+  const speedAt = (ms) => calculateLongitudeSpeed(bodyName, new Date(ms));
   
   try {
-    const astroTime = window.Astronomy. MakeTime(date);
-    let longitude;
+    let t0 = startDate.getTime();
+    let v0 = speedAt(t0);
     
-    // Sun is special - use SunPosition (geocentric by definition)
-    if (bodyName === 'Sun') {
-      const sunPos = window.Astronomy.SunPosition(astroTime);
-      longitude = sunPos.elon;
+    while (t0 < endMs) {
+      const t1 = Math.min(t0 + STATION_SEARCH_STEP_MS, endMs);
+      const v1 = speedAt(t1);
+      
+      if ((v0 > 0 && v1 <= 0) || (v0 < 0 && v1 >= 0)) {
+        const exactMs = bisectTime(speedAt, t0, t1);
+        const longitude = toZodiacLongitude(calculateEclipticLongitude(bodyName, new Date(exactMs)), new Date(exactMs), settings);
+        
+        stations.push({
+          body: bodyName,
+          type: v0 > 0 ? 'retrograde' : 'direct',
+          date: new Date(exactMs),
+          ...toZodiacPosition(longitude),
+          absoluteDegree: longitude
+        });
+      }
+      
+      t0 = t1;
+      v0 = v1;
     }
-    // Moon is special - use GeoMoon
-    else if (bodyName === 'Moon') {
-      const geoMoon = window.Astronomy.GeoMoon(astroTime);
-      const ecliptic = window.Astronomy.Ecliptic(geoMoon);
-      longitude = ecliptic. elon;
-    }
-    // All other planets - use GeoVector (geocentric position)
-    else {
-      const geoVector = window.Astronomy.GeoVector(bodyName, astroTime, true); // true = aberration corrected
-      const ecliptic = window.Astronomy.Ecliptic(geoVector);
-      longitude = ecliptic.elon;
+  } catch (error) {
+    console.error(`Error finding stations for ${bodyName}:`, error);
+  }
+  
+  return stations;
+}
+
+/**
+ * Find the exact moments a body crosses any of the given ecliptic longitudes
+ * Longitudes are sampled every stepMs (default INGRESS_SEARCH_STEP_MS); each crossing is refined
+ * by bisection on calculatePlanetPosition. Retrograde crossings are reported too.
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {Array<number>} boundaries - Longitudes in degrees (sign starts, house cusps, ...)
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} settings - Optional {zodiac, ayanamsa}; boundaries are in this zodiac
+ * @param {number} stepMs - Sampling step; slow bodies can use a longer one
+ * @returns {Array<object>} [{body, boundaryIndex, boundary, direction: 'direct'|'retrograde', date}] sorted by date
+ */
+export function findLongitudeCrossings(bodyName, boundaries, startDate, endDate, settings = {}, stepMs = INGRESS_SEARCH_STEP_MS) {
+  try {
+    const longitudeAt = (ms) => calculateZodiacLongitude(bodyName, new Date(ms), settings);
+    return searchCrossings(longitudeAt, longitudeDistance, boundaries, startDate, endDate, stepMs)
+      .map((crossing) => ({ body: bodyName, ...crossing }));
+  } catch (error) {
+    console.error(`Error finding longitude crossings for ${bodyName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Find the exact moments a body reaches any of the given declinations
+ * Same search as findLongitudeCrossings; 'direct' means declination increasing.
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {Array<number>} boundaries - Declinations in degrees
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} settings - Optional {observer} for a topocentric Moon
+ * @param {number} stepMs - Sampling step; slow bodies can use a longer one
+ * @returns {Array<object>} [{body, boundaryIndex, boundary, direction: 'direct'|'retrograde', date}] sorted by date
+ */
+export function findDeclinationCrossings(bodyName, boundaries, startDate, endDate, settings = {}, stepMs = INGRESS_SEARCH_STEP_MS) {
+  try {
+    const declinationAt = (ms) => calculateDeclination(bodyName, new Date(ms), settings);
+    return searchCrossings(declinationAt, (value, boundary) => value - boundary, boundaries, startDate, endDate, stepMs)
+      .map((crossing) => ({ body: bodyName, ...crossing }));
+  } catch (error) {
+    console.error(`Error finding declination crossings for ${bodyName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Find the exact moments two moving bodies form any of the given aspect angles
+ * The separation (longitude of body 1 minus body 2) is sampled like findLongitudeCrossings.
+ * @param {string} bodyName1 - Planet or point name (as in calculatePlanetPosition)
+ * @param {string} bodyName2 - Planet or point name
+ * @param {Array<number>} angles - Aspect angles in degrees (0-180)
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {number} stepMs - Sampling step
+ * @returns {Array<object>} [{body1, body2, angle, separation, date}] sorted by date
+ */
+export function findAspectTimes(bodyName1, bodyName2, angles, startDate, endDate, stepMs = INGRESS_SEARCH_STEP_MS) {
+  // Each angle except 0 and 180 is formed on both sides (e.g. 90 and 270)
+  const separations = [...new Set(angles.flatMap((angle) => [angle, (360 - angle) % 360]))];
+  
+  try {
+    const separationAt = (ms) => {
+      const date = new Date(ms);
+      const lon1 = calculateZodiacLongitude(bodyName1, date);
+      const lon2 = calculateZodiacLongitude(bodyName2, date);
+      return (lon1 - lon2 + 360) % 360;
+    };
+    
+    return searchCrossings(separationAt, longitudeDistance, separations, startDate, endDate, stepMs)
+      .map((crossing) => ({
+        body1: bodyName1,
+        body2: bodyName2,
+        angle: Math.min(crossing.boundary, 360 - crossing.boundary),
+        separation: crossing.boundary,
+        date: crossing.date
+      }));
+  } catch (error) {
+    console.error(`Error finding aspects between ${bodyName1} and ${bodyName2}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Find void-of-course Moon periods overlapping a range
+ * A period starts at the Moon's last major aspect (Ptolemaic) to a planet while in a sign
+ * and ends when the Moon enters the next sign.
+ * Signs are taken in the given zodiac (aspects between bodies are the same in either).
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @param {object} settings - Optional {zodiac, ayanamsa}
+ * @returns {Array<object>} [{start, end, sign, nextSign, lastAspect: {body, angle, date} | null}]
+ */
+export function findVoidOfCourseMoons(startDate, endDate, settings = {}) {
+  const periods = [];
+  
+  // The Moon spends at most ~2.7 days in a sign; pad so every sign overlapping the range is complete
+  const ingresses = findIngresses('Moon', new Date(startDate.getTime() - 3 * 86400000), new Date(endDate.getTime() + 3 * 86400000), settings);
+  
+  for (let i = 1; i < ingresses.length; i++) {
+    const signStart = ingresses[i - 1].date;
+    const ingress = ingresses[i];
+    if (ingress.date <= startDate || signStart >= endDate) continue;
+    
+    const aspects = VOID_OF_COURSE_BODIES.flatMap((body) => findAspectTimes('Moon', body, MAJOR_ASPECT_ANGLES, signStart, ingress.date));
+    const lastAspect = aspects.sort((a, b) => a.date - b.date).pop() || null;
+    const start = lastAspect ? lastAspect.date : signStart;
+    if (start >= endDate) continue;
+    
+    periods.push({
+      start,
+      end: ingress.date,
+      sign: ingress.previousSign,
+      nextSign: ingress.sign,
+      lastAspect: lastAspect ? { body: lastAspect.body2, angle: lastAspect.angle, date: lastAspect.date } : null
+    });
+  }
+  
+  return periods;
+}
+
+/**
+ * Find when a body enters and leaves the orb around an exact aspect point
+ * Walks outward from a moment inside the orb in daily steps (through any
+ * retrograde loop) and refines both edges by bisection.
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {number} target - Exact point in degrees (longitude or declination)
+ * @param {number} maxOrb - Orb in degrees
+ * @param {Date} insideDate - A moment the body is within orb (e.g. the exact hit)
+ * @param {object} settings - Optional {zodiac, ayanamsa} for longitudes, {observer} for a topocentric Moon
+ * @param {string} coordinate - 'longitude' or 'declination'
+ * @param {number} stepMs - Walking step; slow bodies can use a longer one
+ * @returns {object} {start, end} Dates; null for an edge beyond ORB_WINDOW_LIMIT_MS
+ */
+export function findOrbWindow(bodyName, target, maxOrb, insideDate, settings = {}, coordinate = 'longitude', stepMs = ORB_WINDOW_STEP_MS) {
+  const valueAt = coordinate === 'declination'
+    ? (ms) => calculateDeclination(bodyName, new Date(ms), settings)
+    : (ms) => calculateZodiacLongitude(bodyName, new Date(ms), settings);
+  const distance = coordinate === 'declination' ? (value) => value - target : (value) => longitudeDistance(value, target);
+  // Negative inside the orb, positive outside
+  const outside = (ms) => Math.abs(distance(valueAt(ms))) - maxOrb;
+  
+  const findEdge = (direction) => {
+    const insideMs = insideDate.getTime();
+    let inside = insideMs;
+    
+    for (let ms = insideMs + direction * stepMs; Math.abs(ms - insideMs) <= ORB_WINDOW_LIMIT_MS; ms += direction * stepMs) {
+      if (outside(ms) > 0) {
+        return new Date(bisectTime(outside, Math.min(inside, ms), Math.max(inside, ms)));
+      }
+      inside = ms;
     }
+    return null;
+  };
+  
+  try {
+    return { start: findEdge(-1), end: findEdge(1) };
+  } catch (error) {
+    console.error(`Error finding orb window for ${bodyName}:`, error);
+    return { start: null, end: null };
+  }
+}
+
+/**
+ * Sample a value through a time range and bisect every boundary crossing
+ * @param {function} valueAt - (ms) => value
+ * @param {function} distance - (value, boundary) => signed distance past the boundary
+ * @returns {Array<object>} [{boundaryIndex, boundary, direction, date}] sorted by date
+ */
+function searchCrossings(valueAt, distance, boundaries, startDate, endDate, stepMs) {
+  const crossings = [];
+  const endMs = endDate.getTime();
+  
+  let t0 = startDate.getTime();
+  let v0 = valueAt(t0);
+  
+  while (t0 < endMs) {
+    const t1 = Math.min(t0 + stepMs, endMs);
+    const v1 = valueAt(t1);
     
-    // Normalize to 0-360
-    longitude = ((longitude % 360) + 360) % 360;
+    boundaries.forEach((boundary, boundaryIndex) => {
+      const d0 = distance(v0, boundary);
+      const d1 = distance(v1, boundary);
+      
+      // Side changed near the boundary (not across the opposite point of a circle)
+      if ((d0 >= 0) === (d1 >= 0) || Math.abs(d1 - d0) > 90) return;
+      
+      const exactMs = bisectTime((ms) => distance(valueAt(ms), boundary) >= 0 ? 1 : -1, t0, t1);
+      crossings.push({
+        boundaryIndex,
+        boundary,
+        direction: d1 >= 0 ? 'direct' : 'retrograde',
+        date: new Date(exactMs)
+      });
+    });
     
-    // Convert to zodiac position
-    const zodiacPos = toZodiacPosition(longitude);
+    t0 = t1;
+    v0 = v1;
+  }
+  
+  return crossings.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Signed distance of a longitude past a boundary
+ * @param {number} longitude - Degrees
+ * @param {number} boundary - Degrees
+ * @returns {number} Degrees in (-180, 180]
+ */
+export function longitudeDistance(longitude, boundary) {
+  return 180 - ((boundary - longitude + 540) % 360);
+}
+
+/**
+ * Find the exact moments a body enters a new zodiac sign
+ * A retrograde crossing moves the body back into the previous sign; the following
+ * direct crossing of the same boundary is flagged as a re-entry.
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} settings - Optional {zodiac, ayanamsa}
+ * @returns {Array<object>} [{body, sign, previousSign, retrograde, reentry, date}] sorted by date
+ */
+export function findIngresses(bodyName, startDate, endDate, settings = {}) {
+  const signBoundaries = Array.from({ length: 12 }, (_, i) => i * 30);
+  
+  return findLongitudeCrossings(bodyName, signBoundaries, startDate, endDate, settings).map((crossing) => {
+    const retrograde = crossing.direction === 'retrograde';
+    const entered = toZodiacPosition(retrograde ? crossing.boundary - 15 : crossing.boundary + 15).sign;
+    const left = toZodiacPosition(retrograde ? crossing.boundary + 15 : crossing.boundary - 15).sign;
     
     return {
-      ... zodiacPos,
-      absoluteDegree: longitude
+      body: bodyName,
+      sign: entered,
+      previousSign: left,
+      retrograde,
+      reentry: !retrograde && isReentry(bodyName, crossing.boundary, crossing.date, settings),
+      date: crossing.date
     };
+  });
+}
+
+/**
+ * Whether a direct crossing repeats one the body already made before its last retrograde
+ * True when the last retrograde loop straddles the boundary: it turned retrograde
+ * past the boundary and turned direct again behind it.
+ */
+function isReentry(bodyName, boundary, date, settings) {
+  if (bodyName === 'Sun' || bodyName === 'Moon') return false;
+  
+  const stations = findStations(bodyName, new Date(date.getTime() - REENTRY_LOOKBACK_MS), date, settings);
+  const directIndex = stations.map((station) => station.type).lastIndexOf('direct');
+  if (directIndex < 1) return false;
+  
+  const side = (longitude) => ((longitude - boundary + 540) % 360) - 180;
+  return side(stations[directIndex - 1].absoluteDegree) > 0 && side(stations[directIndex].absoluteDegree) < 0;
+}
+
+/**
+ * Find the exact New Moon, First Quarter, Full Moon and Last Quarter moments in a range
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} settings - Optional {zodiac, ayanamsa} for the reported Moon position
+ * @returns {Array<object>} [{type, name, date, sign, degree, absoluteDegree}] sorted by date
+ */
+export function findMoonPhases(startDate, endDate, settings = {}) {
+  const phases = [];
+  const provider = getEphemerisProvider();
+  const limitDays = (endDate.getTime() - startDate.getTime()) / 86400000;
+  
+  try {
+    for (const phase of MOON_PHASES) {
+      let date = provider.searchMoonPhase(phase.elongation, startDate, limitDays);
+      
+      while (date && date < endDate) {
+        const longitude = toZodiacLongitude(calculateEclipticLongitude('Moon', date), date, settings);
+        phases.push({
+          type: phase.type,
+          name: phase.name,
+          date,
+          ...toZodiacPosition(longitude),
+          absoluteDegree: longitude
+        });
+        
+        // Same phase recurs after ~29.5 days; skip ahead before searching again
+        const next = new Date(date.getTime() + 20 * 86400000);
+        const remaining = (endDate.getTime() - next.getTime()) / 86400000;
+        date = remaining > 0 ? provider.searchMoonPhase(phase.elongation, next, remaining) : null;
+      }
+    }
+  } catch (error) {
+    console.error('Error finding moon phases:', error);
+  }
+  
+  return phases.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Find solar and lunar eclipses whose peak falls inside a range
+ * Eclipses only happen at New (solar) or Full (lunar) Moon, so the eclipse
+ * searches run only when the range contains one of those phases. Engines
+ * without eclipse predictions (the fallback) return none.
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} settings - Optional {zodiac, ayanamsa} for the reported positions
+ * @returns {Array<object>} [{type: 'solar'|'lunar', kind, date, start, end, obscuration, sign, degree, absoluteDegree}]
+ *   start/end are the penumbral contacts for lunar eclipses and null for solar eclipses
+ */
+export function findEclipses(startDate, endDate, settings = {}) {
+  const eclipses = [];
+  const provider = getEphemerisProvider();
+  const toMs = (minutes) => minutes * 60000;
+  
+  try {
+    // Peaks can fall hours away from the exact lunation, so widen the phase search by a day
+    const phaseStart = new Date(startDate.getTime() - 86400000);
+    const phaseEnd = new Date(endDate.getTime() + 86400000);
     
+    for (const phase of findMoonPhases(phaseStart, phaseEnd, settings)) {
+      if (phase.type !== 'new' && phase.type !== 'full') continue;
+      
+      // Search from a day before the lunation so its eclipse is the first one found
+      const searchStart = new Date(phase.date.getTime() - 86400000);
+      
+      if (phase.type === 'full') {
+        const eclipse = provider.searchLunarEclipse(searchStart);
+        if (!eclipse) continue;
+        const peak = eclipse.peak;
+        if (peak < startDate || peak >= endDate) continue;
+        
+        eclipses.push({
+          type: 'lunar',
+          kind: eclipse.kind,
+          date: peak,
+          start: new Date(peak.getTime() - toMs(eclipse.penumbralMinutes)),
+          end: new Date(peak.getTime() + toMs(eclipse.penumbralMinutes)),
+          obscuration: eclipse.obscuration,
+          sign: phase.sign,
+          degree: phase.degree,
+          absoluteDegree: phase.absoluteDegree
+        });
+      } else {
+        const eclipse = provider.searchSolarEclipse(searchStart);
+        if (!eclipse) continue;
+        const peak = eclipse.peak;
+        if (peak < startDate || peak >= endDate) continue;
+        
+        eclipses.push({
+          type: 'solar',
+          kind: eclipse.kind,
+          date: peak,
+          start: null,
+          end: null,
+          obscuration: eclipse.obscuration,
+          sign: phase.sign,
+          degree: phase.degree,
+          absoluteDegree: phase.absoluteDegree
+        });
+      }
+    }
   } catch (error) {
-    console.error(`Error calculating ${bodyName}:`, error);
-    return null;
+    console.error('Error finding eclipses:', error);
+  }
+  
+  return eclipses;
+}
+
+/**
+ * Find the rise and set moments of the Sun or Moon for an observer in a range
+ * Upper limb on the horizon, refraction included.
+ * @param {string} bodyName - 'Sun' or 'Moon'
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {number} latitude - Observer latitude (degrees)
+ * @param {number} longitude - Observer longitude (degrees, east positive)
+ * @returns {Array<object>} [{body, type: 'rise'|'set', date}] sorted by date
+ *   (empty for polar day/night, when the body does not cross the horizon)
+ */
+export function findRiseSetTimes(bodyName, startDate, endDate, latitude, longitude) {
+  const events = [];
+  const provider = getEphemerisProvider();
+  const location = { latitude, longitude };
+  const limitDays = (endDate.getTime() - startDate.getTime()) / 86400000;
+
+  try {
+    for (const [type, direction] of [['rise', +1], ['set', -1]]) {
+      let date = provider.searchRiseSet(bodyName, location, direction, startDate, limitDays);
+
+      while (date && date < endDate) {
+        events.push({ body: bodyName, type, date });
+
+        // Continue just after the event found so it is not found again
+        const next = new Date(date.getTime() + 60000);
+        const remaining = (endDate.getTime() - next.getTime()) / 86400000;
+        date = remaining > 0 ? provider.searchRiseSet(bodyName, location, direction, next, remaining) : null;
+      }
+    }
+  } catch (error) {
+    console.error(`Error finding rise/set times for ${bodyName}:`, error);
+  }
+
+  return events.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Find the upper meridian transits (culminations) of a body for an observer in a range
+ * @param {string} bodyName - Planet name (Sun, Moon, Mercury, etc.)
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {number} latitude - Observer latitude (degrees)
+ * @param {number} longitude - Observer longitude (degrees, east positive)
+ * @returns {Array<object>} [{body, type: 'transit', date, altitude}] sorted by date
+ */
+export function findMeridianTransits(bodyName, startDate, endDate, latitude, longitude) {
+  const events = [];
+  const provider = getEphemerisProvider();
+  const location = { latitude, longitude };
+
+  try {
+    let transit = provider.searchMeridianTransit(bodyName, location, startDate);
+
+    while (transit && transit.date < endDate) {
+      events.push({ body: bodyName, type: 'transit', date: transit.date, altitude: transit.altitude });
+      transit = provider.searchMeridianTransit(bodyName, location, new Date(transit.date.getTime() + 60000));
+    }
+  } catch (error) {
+    console.error(`Error finding meridian transits for ${bodyName}:`, error);
+  }
+
+  return events;
+}
+
+/**
+ * Longitude in the chosen zodiac, from the ephemeris cache where possible
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {Date} date - JavaScript Date object
+ * @param {object} settings - Optional {zodiac, ayanamsa, observer}
+ * @returns {number} Longitude in degrees (0-360)
+ */
+function calculateZodiacLongitude(bodyName, date, settings = {}) {
+  const cached = getCachedZodiacPosition(bodyName, date, settings);
+  return cached ? cached.longitude : toZodiacLongitude(calculateEclipticLongitude(bodyName, date, settings.observer), date, settings);
+}
+
+/**
+ * Declination of date, from the ephemeris cache where possible
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {Date} date - JavaScript Date object
+ * @param {object} settings - Optional {zodiac, ayanamsa, observer}
+ * @returns {number} Declination in degrees
+ */
+function calculateDeclination(bodyName, date, settings = {}) {
+  const cached = getCachedZodiacPosition(bodyName, date, settings);
+  return cached ? cached.declination : calculateEquatorialPosition(bodyName, date, settings.observer).declination;
+}
+
+/**
+ * Zodiac longitude and equatorial coordinates interpolated from the ephemeris cache
+ * Topocentric positions depend on the place, so they are never cached.
+ * @returns {object|null} {longitude, rightAscension, declination}; null when not cacheable
+ */
+function getCachedZodiacPosition(bodyName, date, settings) {
+  if (topocentricObserver(bodyName, settings.observer)) return null;
+
+  const zodiac = settings.zodiac === 'Sidereal' ? `Sidereal:${settings.ayanamsa || DEFAULT_AYANAMSA}` : 'Tropical';
+  const frame = `${getEphemerisProvider().name}|${zodiac}`;
+
+  return getCachedPosition(bodyName, date, frame, (sampleDate) => ({
+    longitude: toZodiacLongitude(calculateEclipticLongitude(bodyName, sampleDate), sampleDate, settings),
+    ...calculateEquatorialPosition(bodyName, sampleDate)
+  }));
+}
+
+/**
+ * Ecliptic longitude of a body (geocentric, or topocentric for TOPOCENTRIC_BODIES with an observer)
+ * @param {string} bodyName - Planet name (Sun, Moon, Mercury, etc.)
+ * @param {Date} date - JavaScript Date object
+ * @param {object} observer - Optional {latitude, longitude}
+ * @returns {number} Longitude in degrees (0-360)
+ */
+function calculateEclipticLongitude(bodyName, date, observer = null) {
+  let longitude;
+  
+  // Lunar nodes and Black Moon Lilith come from the Moon's orbital elements
+  if (bodyName === 'MeanNode' || bodyName === 'TrueNode' || bodyName === 'Lilith') {
+    longitude = calculateLunarPoint(bodyName, date);
   }
+  // Chiron is not in the ephemeris engines - propagate its orbit
+  else if (bodyName === 'Chiron') {
+    longitude = getEphemerisProvider().eclipticLongitudeOfVector(calculateChironVector(date), date);
+  }
+  // Sun, Moon and planets come from the ephemeris engine
+  else {
+    longitude = getEphemerisProvider().eclipticLongitude(bodyName, date, topocentricObserver(bodyName, observer));
+  }
+  
+  // Normalize to 0-360
+  return ((longitude % 360) + 360) % 360;
 }
 
 /**
- * Calculate houses using Placidus system
+ * Geocentric equatorial coordinates (true equator and equinox of date)
+ * Nodes and Lilith lie on the ecliptic, so their coordinates follow from longitude.
+ * @param {string} bodyName - Planet or point name (as in calculatePlanetPosition)
+ * @param {Date} date - JavaScript Date object
+ * @param {object} observer - Optional {latitude, longitude}
+ * @returns {object} {rightAscension, declination} in degrees
+ */
+function calculateEquatorialPosition(bodyName, date, observer = null) {
+  if (bodyName === 'MeanNode' || bodyName === 'TrueNode' || bodyName === 'Lilith') {
+    const toRad = Math.PI / 180;
+    const lonRad = calculateLunarPoint(bodyName, date) * toRad;
+    const oblRad = calculateObliquity((date.getTime() / 86400000) + 2440587.5) * toRad;
+    
+    const ra = Math.atan2(Math.sin(lonRad) * Math.cos(oblRad), Math.cos(lonRad)) / toRad;
+    return {
+      rightAscension: ((ra % 360) + 360) % 360,
+      declination: Math.asin(Math.sin(oblRad) * Math.sin(lonRad)) / toRad
+    };
+  }
+  
+  if (bodyName === 'Chiron') {
+    return getEphemerisProvider().equatorialOfVector(calculateChironVector(date), date);
+  }
+  
+  return getEphemerisProvider().equatorial(bodyName, date, topocentricObserver(bodyName, observer));
+}
+
+// The observer to pass to the engine: only TOPOCENTRIC_BODIES are shifted by parallax
+function topocentricObserver(bodyName, observer) {
+  return observer && TOPOCENTRIC_BODIES.includes(bodyName) ? observer : null;
+}
+
+/**
+ * Lunar node or mean apogee longitude (Meeus, Astronomical Algorithms ch. 47)
+ * @param {string} pointName - MeanNode, TrueNode or Lilith
+ * @param {Date} date - JavaScript Date object
+ * @returns {number} Longitude in degrees (mean equinox of date)
+ */
+function calculateLunarPoint(pointName, date) {
+  const jd = (date.getTime() / 86400000) + 2440587.5;
+  const T = (jd - 2451545.0) / 36525.0;
+  
+  if (pointName === 'Lilith') {
+    // Mean lunar perigee; Black Moon Lilith is the apogee, opposite it
+    const perigee = 83.3532465 + 4069.0137287 * T - 0.0103200 * T * T
+                    - T * T * T / 80053 + T * T * T * T / 18999000;
+    return perigee + 180;
+  }
+  
+  const meanNode = 125.0445479 - 1934.1362891 * T + 0.0020754 * T * T
+                   + T * T * T / 467441 - T * T * T * T / 60616000;
+  if (pointName === 'MeanNode') return meanNode;
+  
+  // True node = mean node + main periodic terms
+  const toRad = Math.PI / 180;
+  const D = (297.8501921 + 445267.1114034 * T - 0.0018819 * T * T) * toRad;  // Moon's elongation
+  const M = (357.5291092 + 35999.0502909 * T - 0.0001536 * T * T) * toRad;   // Sun's anomaly
+  const Mm = (134.9633964 + 477198.8675055 * T + 0.0087414 * T * T) * toRad; // Moon's anomaly
+  const F = (93.2720950 + 483202.0175233 * T - 0.0036539 * T * T) * toRad;   // Moon's argument of latitude
+  
+  return meanNode
+    - 1.4979 * Math.sin(2 * (D - F))
+    - 0.1500 * Math.sin(M)
+    - 0.1226 * Math.sin(2 * D)
+    + 0.1176 * Math.sin(2 * F)
+    - 0.0801 * Math.sin(2 * (Mm - F));
+}
+
+/**
+ * Geocentric Chiron vector (equatorial J2000, AU) from CHIRON_ELEMENTS
+ * @param {Date} date - JavaScript Date object
+ * @returns {object} {x, y, z}
+ */
+function calculateChironVector(date) {
+  const el = CHIRON_ELEMENTS;
+  const toRad = Math.PI / 180;
+  const jd = (date.getTime() / 86400000) + 2440587.5;
+  
+  // Mean anomaly from time since perihelion (period in days from Kepler's third law)
+  const period = 365.25 * Math.pow(el.semiMajorAxis, 1.5);
+  const M = 2 * Math.PI * (((jd - el.perihelionJD) / period) % 1);
+  
+  // Solve Kepler's equation E - e sin E = M
+  let E = M;
+  for (let i = 0; i < 30; i++) {
+    const delta = (E - el.eccentricity * Math.sin(E) - M) / (1 - el.eccentricity * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < 1e-12) break;
+  }
+  
+  // Position in the orbital plane
+  const xv = el.semiMajorAxis * (Math.cos(E) - el.eccentricity);
+  const yv = el.semiMajorAxis * Math.sqrt(1 - el.eccentricity * el.eccentricity) * Math.sin(E);
+  
+  // Rotate into heliocentric ecliptic J2000 coordinates
+  const w = el.argPerihelion * toRad;
+  const node = el.ascendingNode * toRad;
+  const inc = el.inclination * toRad;
+  const x = (Math.cos(w) * Math.cos(node) - Math.sin(w) * Math.sin(node) * Math.cos(inc)) * xv
+          + (-Math.sin(w) * Math.cos(node) - Math.cos(w) * Math.sin(node) * Math.cos(inc)) * yv;
+  const y = (Math.cos(w) * Math.sin(node) + Math.sin(w) * Math.cos(node) * Math.cos(inc)) * xv
+          + (-Math.sin(w) * Math.sin(node) + Math.cos(w) * Math.cos(node) * Math.cos(inc)) * yv;
+  const z = Math.sin(w) * Math.sin(inc) * xv + Math.cos(w) * Math.sin(inc) * yv;
+  
+  // Ecliptic J2000 -> equatorial J2000, then subtract the Earth to get a geocentric vector
+  const eps = J2000_OBLIQUITY * toRad;
+  const earth = getEphemerisProvider().earthVector(date);
+  return {
+    x: x - earth.x,
+    y: y * Math.cos(eps) - z * Math.sin(eps) - earth.y,
+    z: y * Math.sin(eps) + z * Math.cos(eps) - earth.z
+  };
+}
+
+/**
+ * Daily motion in longitude (central difference over +/- 12 hours)
+ * @param {string} bodyName - Planet name
+ * @param {Date} date - JavaScript Date object
+ * @param {object} observer - Optional {latitude, longitude}
+ * @returns {number} Degrees per day (negative = retrograde)
+ */
+function calculateLongitudeSpeed(bodyName, date, observer = null) {
+  const halfDayMs = 12 * 60 * 60 * 1000;
+  const before = calculateEclipticLongitude(bodyName, new Date(date.getTime() - halfDayMs), observer);
+  const after = calculateEclipticLongitude(bodyName, new Date(date.getTime() + halfDayMs), observer);
+  
+  // Wrap the difference into -180..180 so crossing 0° Aries doesn't jump
+  return ((after - before + 540) % 360) - 180;
+}
+
+// Same central difference on cached zodiac longitudes
+function calculateCachedLongitudeSpeed(bodyName, date, settings) {
+  const halfDayMs = 12 * 60 * 60 * 1000;
+  const before = calculateZodiacLongitude(bodyName, new Date(date.getTime() - halfDayMs), settings);
+  const after = calculateZodiacLongitude(bodyName, new Date(date.getTime() + halfDayMs), settings);
+  return ((after - before + 540) % 360) - 180;
+}
+
+/**
+ * Calculate houses using the chosen house system
  * @param {Date} date - JavaScript Date object (UTC time)
  * @param {number} latitude - Geographic latitude
  * @param {number} longitude - Geographic longitude (positive = East, negative = West)
- * @returns {object} {ascendant, midheaven, houses:  [... 12 cusps]}
+ * @param {object} settings - Optional {houseSystem, zodiac, ayanamsa}; defaults to tropical Placidus
+ * @returns {object} {ascendant, midheaven, houses:  [... 12 cusps], houseSystem}
  */
-export function calculateHouses(date, latitude, longitude) {
-  if (!window.Astronomy) {
-    console.error('Astronomy Engine not loaded');
-    return null;
-  }
-  
+export function calculateHouses(date, latitude, longitude, settings = {}) {
   try {
     // Get Julian Day for obliquity calculation
     const jd = (date.getTime() / 86400000) + 2440587.5;
@@ -113,15 +811,23 @@ export function calculateHouses(date, latitude, longitude) {
     const obliquity = calculateObliquity(jd);
     
     // Calculate Midheaven (MC) - House 10
-    const mcLongitude = calculateMidheaven(lst, obliquity);
+    const tropicalMc = calculateMidheaven(lst, obliquity);
+    const mcLongitude = toZodiacLongitude(tropicalMc, date, settings);
     const midheaven = toZodiacPosition(mcLongitude);
     
     // Calculate Ascendant - House 1
-    const ascLongitude = calculateAscendant(lst, latitude, obliquity);
+    const tropicalAsc = calculateAscendant(lst, latitude, obliquity);
+    const ascLongitude = toZodiacLongitude(tropicalAsc, date, settings);
     const ascendant = toZodiacPosition(ascLongitude);
     
-    // Calculate all 12 Placidus house cusps
-    const houseCusps = calculatePlacidusHouses(lst, latitude, obliquity, ascLongitude, mcLongitude);
+    // Calculate all 12 house cusps in the requested system
+    const houseSystem = settings.houseSystem || DEFAULT_HOUSE_SYSTEM;
+    const { cusps: tropicalCusps, system } = calculateHouseCusps(houseSystem, lst, latitude, obliquity, tropicalAsc, tropicalMc);
+    
+    // Whole Sign houses start at the rising sign of the chosen zodiac; all other cusps just shift
+    const houseCusps = system === 'Whole Sign'
+      ? calculateWholeSignHouses(ascLongitude)
+      : tropicalCusps.map(cusp => toZodiacLongitude(cusp, date, settings));
     
     return {
       ascendant:  {
@@ -135,7 +841,8 @@ export function calculateHouses(date, latitude, longitude) {
       houses: houseCusps. map(cusp => ({
         ...toZodiacPosition(cusp),
         absoluteDegree: cusp
-      }))
+      })),
+      houseSystem: system
     };
     
   } catch (error) {
@@ -243,8 +950,63 @@ function calculateAscendant(lst, latitude, obliquity) {
   return ((asc % 360) + 360) % 360;
 }
 
+/**
+ * Calculate the 12 house cusps for a house system
+ * Quadrant systems that are undefined inside the polar circles
+ * (Placidus, Koch) fall back to Equal Houses there.
+ * @param {string} houseSystem - One of HOUSE_SYSTEMS
+ * @param {number} lst - Local Sidereal Time in hours
+ * @param {number} latitude - Geographic latitude in degrees
+ * @param {number} obliquity - Obliquity in degrees
+ * @param {number} asc - Ascendant longitude in degrees
+ * @param {number} mc - Midheaven longitude in degrees
+ * @returns {object} {cusps: Array<number>, system: name of the system actually used}
+ */
+function calculateHouseCusps(houseSystem, lst, latitude, obliquity, asc, mc) {
+  if (!HOUSE_SYSTEMS.includes(houseSystem)) {
+    console.warn(`⚠️ Unknown house system "${houseSystem}" - using ${DEFAULT_HOUSE_SYSTEM}`);
+    houseSystem = DEFAULT_HOUSE_SYSTEM;
+  }
+  
+  const polar = Math.abs(latitude) > 66.5;
+  if (polar && (houseSystem === 'Placidus' || houseSystem === 'Koch')) {
+    console.warn(`⚠️ Extreme latitude - using Equal Houses instead of ${houseSystem}`);
+    return { cusps: calculateEqualHouses(asc, mc), system: 'Equal' };
+  }
+  
+  let cusps;
+  switch (houseSystem) {
+    case 'Placidus':
+      cusps = calculatePlacidusHouses(lst, latitude, obliquity, asc, mc);
+      break;
+    case 'Koch':
+      cusps = calculateKochHouses(lst, latitude, obliquity, asc, mc);
+      break;
+    case 'Regiomontanus':
+      cusps = calculateRegiomontanusHouses(lst, latitude, obliquity, asc, mc);
+      break;
+    case 'Campanus':
+      cusps = calculateCampanusHouses(lst, latitude, obliquity, asc, mc);
+      break;
+    case 'Porphyry':
+      cusps = calculatePorphyryHouses(asc, mc);
+      break;
+    case 'Equal':
+      cusps = calculateEqualHouses(asc, mc);
+      break;
+    case 'Whole Sign':
+      cusps = calculateWholeSignHouses(asc);
+      break;
+  }
+  
+  return { cusps, system: houseSystem };
+}
+
 /**
  * Calculate all 12 Placidus house cusps
+ * Cusps 11, 12, 2 and 3 trisect the diurnal/nocturnal semi-arcs in right
+ * ascension. Each cusp's semi-arc depends on its own declination, so the
+ * position is found by iteration until it converges (< 1 arcsecond).
  * @param {number} lst - Local Sidereal Time in hours
  * @param {number} latitude - Geographic latitude in degrees
  * @param {number} obliquity - Obliquity in degrees
@@ -253,46 +1015,209 @@ function calculateAscendant(lst, latitude, obliquity) {
  * @returns {Array<number>} Array of 12 house cusp longitudes (0-360)
  */
 function calculatePlacidusHouses(lst, latitude, obliquity, asc, mc) {
-  const houses = new Array(12);
+  const houses = createAngularHouses(asc, mc);
   
-  // Angular houses (the 4 angles)
-  houses[0] = asc;                     // House 1 = Ascendant
-  houses[3] = (mc + 180) % 360;        // House 4 = IC (opposite of MC)
-  houses[6] = (asc + 180) % 360;       // House 7 = Descendant (opposite of ASC)
-  houses[9] = mc;                      // House 10 = Midheaven
+  const ramc = lst * 15; // Right Ascension of the MC in degrees
+  
+  // Houses 11 and 12 (between MC and ASC) - fractions of the diurnal semi-arc
+  houses[10] = calculatePlacidusCusp(ramc, latitude, obliquity, 1/3, false);  // House 11
+  houses[11] = calculatePlacidusCusp(ramc, latitude, obliquity, 2/3, false);  // House 12
+  
+  // Houses 2 and 3 (between ASC and IC) - fractions of the nocturnal semi-arc
+  houses[1] = calculatePlacidusCusp(ramc, latitude, obliquity, 2/3, true);    // House 2
+  houses[2] = calculatePlacidusCusp(ramc, latitude, obliquity, 1/3, true);    // House 3
+  
+  return completeOppositeHouses(houses);
+}
+
+/**
+ * Iteratively solve a single Placidus cusp
+ * Diurnal cusps (11, 12) sit at RA = RAMC + f * DSA.
+ * Nocturnal cusps (2, 3) sit at RA = RAMC + 180 - f * NSA.
+ * @param {number} ramc - Right Ascension of the MC in degrees
+ * @param {number} latitude - Geographic latitude in degrees
+ * @param {number} obliquity - Obliquity in degrees
+ * @param {number} fraction - Fraction of the semi-arc (1/3 or 2/3)
+ * @param {boolean} nocturnal - true for houses 2 and 3
+ * @returns {number} Cusp ecliptic longitude in degrees
+ */
+function calculatePlacidusCusp(ramc, latitude, obliquity, fraction, nocturnal) {
+  const tanLat = Math.tan(latitude * Math.PI / 180);
+  const oblRad = obliquity * Math.PI / 180;
+  const tolerance = 1 / 3600; // 1 arcsecond
+  
+  // Initial guess: the cusp as if its declination were 0 (semi-arc = 90°)
+  let ra = nocturnal ? ramc + 180 - fraction * 90 : ramc + fraction * 90;
+  let cusp = raToEclipticLongitude(ra, oblRad);
   
-  // For extreme latitudes, fall back to Equal Houses
-  if (Math.abs(latitude) > 66.5) {
-    console.warn('⚠️ Extreme latitude - using Equal Houses');
-    return calculateEqualHouses(asc, mc);
+  for (let i = 0; i < 50; i++) {
+    // Declination of the ecliptic point at the current guess
+    const decRad = Math.asin(Math.sin(oblRad) * Math.sin(cusp * Math.PI / 180));
+    
+    // Diurnal semi-arc (cos DSA = -tan(lat) * tan(dec))
+    const cosDsa = Math.max(-1, Math.min(1, -tanLat * Math.tan(decRad)));
+    const dsa = Math.acos(cosDsa) * 180 / Math.PI;
+    
+    ra = nocturnal ? ramc + 180 - fraction * (180 - dsa) : ramc + fraction * dsa;
+    const next = raToEclipticLongitude(ra, oblRad);
+    
+    const delta = Math.abs(((next - cusp + 540) % 360) - 180);
+    cusp = next;
+    if (delta < tolerance) break;
   }
   
-  // For Placidus intermediate houses, we use a simplified approximation
-  // Full Placidus requires iterative calculations which are error-prone
-  // This uses the Koch/Birthplace house method which is similar
+  return cusp;
+}
+
+/**
+ * Convert Right Ascension to Ecliptic Longitude
+ * Exact for points on the ecliptic (latitude 0), such as house cusps
+ * @param {number} raDeg - Right Ascension in degrees
+ * @param {number} oblRad - Obliquity in radians
+ * @returns {number} Ecliptic longitude in degrees
+ */
+function raToEclipticLongitude(raDeg, oblRad) {
+  const raRad = raDeg * Math.PI / 180;
+  
+  const eclLon = Math.atan2(
+    Math.sin(raRad),
+    Math.cos(raRad) * Math.cos(oblRad)
+  ) * 180 / Math.PI;
   
-  const latRad = latitude * Math. PI / 180;
+  return ((eclLon % 360) + 360) % 360;
+}
+
+/**
+ * Calculate Koch (birthplace) house cusps
+ * The diurnal semi-arc of the MC degree is trisected in time; cusps 11, 12,
+ * 2 and 3 are the Ascendants at those sidereal times.
+ * @param {number} lst - Local Sidereal Time in hours
+ * @param {number} latitude - Geographic latitude in degrees
+ * @param {number} obliquity - Obliquity in degrees
+ * @param {number} asc - Ascendant longitude in degrees
+ * @param {number} mc - Midheaven longitude in degrees
+ * @returns {Array<number>} 12 house cusps
+ */
+function calculateKochHouses(lst, latitude, obliquity, asc, mc) {
+  const houses = createAngularHouses(asc, mc);
+  
+  const latRad = latitude * Math.PI / 180;
   const oblRad = obliquity * Math.PI / 180;
-  const lstDeg = lst * 15; // LST in degrees
+  const ramc = lst * 15;
   
-  // Calculate houses 11 and 12 (between MC and ASC)
-  houses[10] = interpolateCusp(mc, asc, 1/3);  // House 11
-  houses[11] = interpolateCusp(mc, asc, 2/3);  // House 12
+  // Diurnal semi-arc of the MC degree = 90° + its ascensional difference
+  const mcDecRad = Math.asin(Math.sin(oblRad) * Math.sin(mc * Math.PI / 180));
+  const ad = Math.asin(Math.max(-1, Math.min(1, Math.tan(latRad) * Math.tan(mcDecRad)))) * 180 / Math.PI;
+  const third = (90 + ad) / 3;
   
-  // Calculate houses 2 and 3 (between ASC and IC)
-  houses[1] = interpolateCusp(asc, houses[3], 1/3);  // House 2
-  houses[2] = interpolateCusp(asc, houses[3], 2/3);  // House 3
+  houses[10] = calculateAscendant((ramc - 2 * third) / 15, latitude, obliquity);  // House 11
+  houses[11] = calculateAscendant((ramc - third) / 15, latitude, obliquity);      // House 12
+  houses[1] = calculateAscendant((ramc + third) / 15, latitude, obliquity);       // House 2
+  houses[2] = calculateAscendant((ramc + 2 * third) / 15, latitude, obliquity);   // House 3
   
-  // Calculate houses 5 and 6 (between IC and DESC)
-  houses[4] = interpolateCusp(houses[3], houses[6], 1/3);  // House 5
-  houses[5] = interpolateCusp(houses[3], houses[6], 2/3);  // House 6
+  return completeOppositeHouses(houses);
+}
+
+/**
+ * Calculate Regiomontanus house cusps
+ * The celestial equator is divided into 30° segments from the meridian;
+ * house circles run through those points and the north/south horizon points.
+ * @param {number} lst - Local Sidereal Time in hours
+ * @param {number} latitude - Geographic latitude in degrees
+ * @param {number} obliquity - Obliquity in degrees
+ * @param {number} asc - Ascendant longitude in degrees
+ * @param {number} mc - Midheaven longitude in degrees
+ * @returns {Array<number>} 12 house cusps
+ */
+function calculateRegiomontanusHouses(lst, latitude, obliquity, asc, mc) {
+  const houses = createAngularHouses(asc, mc);
   
-  // Calculate houses 8 and 9 (between DESC and MC)
-  houses[7] = interpolateCusp(houses[6], mc, 1/3);  // House 8
-  houses[8] = interpolateCusp(houses[6], mc, 2/3);  // House 9
+  const tanLat = Math.tan(latitude * Math.PI / 180);
+  const ramc = lst * 15;
   
-  // Normalize all to 0-360
-  return houses.map(h => ((h % 360) + 360) % 360);
+  // Pole of each house circle: tan(pole) = tan(lat) * sin(30° or 60°)
+  const pole30 = Math.atan(tanLat * 0.5) * 180 / Math.PI;
+  const pole60 = Math.atan(tanLat * Math.sqrt(3) / 2) * 180 / Math.PI;
+  
+  houses[10] = calculateHouseCircleCusp(ramc + 30, pole30, obliquity);   // House 11
+  houses[11] = calculateHouseCircleCusp(ramc + 60, pole60, obliquity);   // House 12
+  houses[1] = calculateHouseCircleCusp(ramc + 120, pole60, obliquity);   // House 2
+  houses[2] = calculateHouseCircleCusp(ramc + 150, pole30, obliquity);   // House 3
+  
+  return completeOppositeHouses(houses);
+}
+
+/**
+ * Calculate Campanus house cusps
+ * The prime vertical is divided into 30° segments; house circles run
+ * through those points and the north/south horizon points.
+ * @param {number} lst - Local Sidereal Time in hours
+ * @param {number} latitude - Geographic latitude in degrees
+ * @param {number} obliquity - Obliquity in degrees
+ * @param {number} asc - Ascendant longitude in degrees
+ * @param {number} mc - Midheaven longitude in degrees
+ * @returns {Array<number>} 12 house cusps
+ */
+function calculateCampanusHouses(lst, latitude, obliquity, asc, mc) {
+  const houses = createAngularHouses(asc, mc);
+  
+  const latRad = latitude * Math.PI / 180;
+  const ramc = lst * 15;
+  
+  // Pole of each house circle: sin(pole) = sin(lat) * sin(30° or 60°)
+  const pole30 = Math.asin(Math.sin(latRad) * 0.5) * 180 / Math.PI;
+  const pole60 = Math.asin(Math.sin(latRad) * Math.sqrt(3) / 2) * 180 / Math.PI;
+  
+  // Equator offset of each circle from the east point
+  const offset30 = Math.atan(Math.sqrt(3) / Math.cos(latRad)) * 180 / Math.PI;
+  const offset60 = Math.atan(1 / Math.sqrt(3) / Math.cos(latRad)) * 180 / Math.PI;
+  
+  houses[10] = calculateHouseCircleCusp(ramc + 90 - offset30, pole30, obliquity);  // House 11
+  houses[11] = calculateHouseCircleCusp(ramc + 90 - offset60, pole60, obliquity);  // House 12
+  houses[1] = calculateHouseCircleCusp(ramc + 90 + offset60, pole60, obliquity);   // House 2
+  houses[2] = calculateHouseCircleCusp(ramc + 90 + offset30, pole30, obliquity);   // House 3
+  
+  return completeOppositeHouses(houses);
+}
+
+/**
+ * Intersect a house circle with the ecliptic
+ * The circle crosses the equator at right ascension raDeg and is tilted to
+ * the horizon's north/south points by its pole. With pole = latitude and
+ * raDeg = RAMC + 90° this gives the Ascendant.
+ * @param {number} raDeg - Right Ascension where the circle meets the equator
+ * @param {number} pole - Pole (elevation) of the house circle in degrees
+ * @param {number} obliquity - Obliquity in degrees
+ * @returns {number} Cusp ecliptic longitude in degrees
+ */
+function calculateHouseCircleCusp(raDeg, pole, obliquity) {
+  const raRad = raDeg * Math.PI / 180;
+  const poleRad = pole * Math.PI / 180;
+  const oblRad = obliquity * Math.PI / 180;
+  
+  const cusp = Math.atan2(
+    Math.sin(raRad),
+    Math.cos(raRad) * Math.cos(oblRad) - Math.tan(poleRad) * Math.sin(oblRad)
+  ) * 180 / Math.PI;
+  
+  return ((cusp % 360) + 360) % 360;
+}
+
+/**
+ * Calculate Porphyry house cusps (each quadrant divided into thirds)
+ * @param {number} asc - Ascendant in degrees
+ * @param {number} mc - Midheaven in degrees
+ * @returns {Array<number>} 12 house cusps
+ */
+function calculatePorphyryHouses(asc, mc) {
+  const houses = createAngularHouses(asc, mc);
+  
+  houses[10] = interpolateCusp(mc, asc, 1/3);         // House 11
+  houses[11] = interpolateCusp(mc, asc, 2/3);         // House 12
+  houses[1] = interpolateCusp(asc, houses[3], 1/3);   // House 2
+  houses[2] = interpolateCusp(asc, houses[3], 2/3);   // House 3
+  
+  return completeOppositeHouses(houses);
 }
 
 /**
@@ -319,27 +1244,56 @@ function interpolateCusp(start, end, fraction) {
 }
 
 /**
- * Convert Right Ascension to Ecliptic Longitude
- * @param {number} raDeg - Right Ascension in degrees
- * @param {number} oblRad - Obliquity in radians
- * @returns {number} Ecliptic longitude in degrees
+ * Start a quadrant house array with the 4 angles filled in
+ * @param {number} asc - Ascendant in degrees
+ * @param {number} mc - Midheaven in degrees
+ * @returns {Array<number>} 12 slots, cusps 1, 4, 7 and 10 set
  */
-function raToEclipticLongitude(raDeg, oblRad) {
-  const raRad = raDeg * Math.PI / 180;
+function createAngularHouses(asc, mc) {
+  const houses = new Array(12);
   
-  // Simplified conversion (assumes declination = 0 for intermediate houses)
-  // This is an approximation; full calculation requires declination
-  const eclLon = Math.atan2(
-    Math.sin(raRad) * Math.cos(oblRad),
-    Math.cos(raRad)
-  ) * 180 / Math.PI;
+  houses[0] = asc;                     // House 1 = Ascendant
+  houses[3] = (mc + 180) % 360;        // House 4 = IC (opposite of MC)
+  houses[6] = (asc + 180) % 360;       // House 7 = Descendant (opposite of ASC)
+  houses[9] = mc;                      // House 10 = Midheaven
   
-  return ((eclLon % 360) + 360) % 360;
+  return houses;
+}
+
+/**
+ * Fill houses 5, 6, 8 and 9 as the opposites of 11, 12, 2 and 3
+ * @param {Array<number>} houses - Houses with 1-4 and 10-12 set
+ * @returns {Array<number>} 12 house cusps normalized to 0-360
+ */
+function completeOppositeHouses(houses) {
+  houses[4] = houses[10] + 180;  // House 5
+  houses[5] = houses[11] + 180;  // House 6
+  houses[7] = houses[1] + 180;   // House 8
+  houses[8] = houses[2] + 180;   // House 9
+  
+  // Normalize all to 0-360
+  return houses.map(h => ((h % 360) + 360) % 360);
+}
+
+/**
+ * Calculate Whole Sign houses (house 1 = the whole rising sign)
+ * @param {number} asc - Ascendant in degrees
+ * @returns {Array<number>} 12 house cusps
+ */
+function calculateWholeSignHouses(asc) {
+  const firstCusp = Math.floor(asc / 30) * 30;
+  const houses = new Array(12);
+  
+  for (let i = 0; i < 12; i++) {
+    houses[i] = (firstCusp + i * 30) % 360;
+  }
+  
+  return houses;
 }
 
 /**
- * Fallback:  Calculate Equal Houses (30° divisions from Ascendant)
- * Used when Placidus fails at extreme latitudes
+ * Calculate Equal Houses (30° divisions from Ascendant)
+ * Also the fallback when Placidus or Koch fail at extreme latitudes
  * @param {number} asc - Ascendant in degrees
  * @param {number} mc - Midheaven in degrees
  * @returns {Array<number>} 12 house cusps
@@ -59,12 +59,18 @@ function fillEventDetailsDialog(parent, event) {
   const eventDetailsDateElement = eventDetailsElement.querySelector('[data-event-details-date]');
   const eventDetailsStartTimeElement = eventDetailsElement.querySelector('[data-event-details-start-time]');
   const eventDetailsEndTimeElement = eventDetailsElement.querySelector('[data-event-details-end-time]');
+  const eventDetailsNoteElement = eventDetailsElement.querySelector('[data-event-details-note]');
 
   eventDetailsTitleElement.textContent = event.title;
   eventDetailsDateElement.textContent = eventDateFormatter.format(event.date);
   eventDetailsStartTimeElement.textContent = eventTimeFormatter.format(eventTimeToDate(event, event.startTime));
   eventDetailsEndTimeElement.textContent = eventTimeFormatter.format(eventTimeToDate(event, event.endTime));
   eventDetailsElement.style.setProperty("--event-color", event.color);
+
+  // Generated events can carry a one-line summary (e.g. a transit period's orb window)
+  const summary = event.meta && event.meta.summary;
+  eventDetailsNoteElement.textContent = summary || '';
+  eventDetailsNoteElement.hidden = !summary;
 }
 
 
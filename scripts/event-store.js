@@ -1,5 +1,14 @@
 import { isTheSameDay } from "./date.js";
-import { getTransitEventsForDate } from "./transit-events.js";
+import { getTransitEventsForDate, getTransitPeriods, SLOW_TRANSIT_BODIES } from "./transit-events.js";
+import { getStationEventsForDate } from "./station-events.js";
+import { getSkyEventsForDate } from "./sky-events.js";
+import { getIngressEventsForDate } from "./ingress-events.js";
+import { getVoidOfCourseEventsForDate } from "./voc-events.js";
+import { getMundaneEventsForDate } from "./mundane-events.js";
+import { getTransitEventsForRange } from "./transit-range.js";
+import { getProgressionEventsForDate } from "./progression-events.js";
+import { getSolarArcEventsForDate, getSolarArcPeriods } from "./solar-arc-events.js";
+import { getReturnEventsForDate } from "./return-events.js";
 
 
 export function initEventStore() {
@@ -43,18 +52,44 @@ export function initEventStore() {
 
 
   return {
-    getEventsByDate(date) {
+    // options.transits = false leaves out transit aspects (views that load them with getTransitEventsByRange)
+    getEventsByDate(date, options = {}) {
       const events = getEventsFromLocalStorage();
       const filteredEvents = events.filter((event) => isTheSameDay(event.date, date));
 
-      // Add generated transit-aspect events for this date
-      const transitEvents = getTransitEventsForDate(date);
+      // Add generated transit-aspect, mundane-aspect, planetary station, sky (Moon phase / eclipse), ingress, void-of-course, progression, solar arc and return events for this date
+      const generatedEvents = [
+        ...(options.transits === false ? [] : getTransitEventsForDate(date)),
+        ...getMundaneEventsForDate(date),
+        ...getStationEventsForDate(date),
+        ...getSkyEventsForDate(date),
+        ...getIngressEventsForDate(date),
+        ...getVoidOfCourseEventsForDate(date),
+        ...getProgressionEventsForDate(date),
+        ...getSolarArcEventsForDate(date),
+        ...getReturnEventsForDate(date)
+      ];
 
       // Make sure we do not duplicate if user created a custom event with same id
       const existingIds = new Set(filteredEvents.map(e => e.id));
-      const merged = filteredEvents.concat(transitEvents.filter(te => !existingIds.has(te.id)));
+      const merged = filteredEvents.concat(generatedEvents.filter(te => !existingIds.has(te.id)));
 
       return merged;
+    },
+
+    // Multi-day transit periods (orb entry to orb exit) overlapping [start, end)
+    // Only slow transits - faster ones come and go within a few days - and solar arc directions
+    getPeriodsByRange(start, end) {
+      return [
+        ...getTransitPeriods(start, end, { bodies: SLOW_TRANSIT_BODIES }),
+        ...getSolarArcPeriods(start, end)
+      ].sort((a, b) => b.meta.score - a.meta.score);
+    },
+
+    // Transit aspects for every day in [start, end), computed off the main thread;
+    // onDay(date, events) is called as each day arrives
+    getTransitEventsByRange(start, end, onDay) {
+      return getTransitEventsForRange(start, end, onDay);
     }
   };
 }
@@ -15,6 +15,11 @@ import {initUrl} from "./url.js";
 import { initSync } from "./sync.js";
 import { initSidebarChartToggle } from './sidebar-chart-toggle.js';
 import { displayBirthChart } from './birth-chart-display.js';
+import { initChartSettings } from './chart-settings.js';
+import { initPlanetaryHours } from './planetary-hours.js';
+import { initRiseSetControls } from './rise-set.js';
+import { initReturnCharts } from './return-chart.js';
+import { initProfileSwitcher } from './profile-switcher.js';
 
 
 initViewSelect();
@@ -33,4 +38,9 @@ initHamburger();
 initUrl();
 initSync();
 initSidebarChartToggle();
+initChartSettings();
+initPlanetaryHours();
+initRiseSetControls();
+initReturnCharts();
+initProfileSwitcher();
 displayBirthChart();
@@ -0,0 +1,140 @@
+// Ingress events generator
+// Exports getIngressEventsForDate(date) -> timed events for planets entering a new sign that day,
+// plus (when a birth chart is stored) planets entering one of the natal houses
+// Uses findIngresses / findLongitudeCrossings from ephemeris.js (exact moment found by bisection)
+
+import { ZODIAC_SYMBOLS } from './astrology-core.js';
+import { findIngresses, findLongitudeCrossings } from './ephemeris.js';
+import { getChartSettings } from './chart-settings.js';
+import { loadNatalChart, getTransitSettings, pointLabel, toPointKey, ordinal } from './transit-events.js';
+
+const INGRESS_BODIES = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto', 'Chiron'];
+
+// The Moon crosses a house cusp every couple of hours - too noisy for the house layer
+const HOUSE_INGRESS_BODIES = INGRESS_BODIES.filter((body) => body !== 'Moon');
+
+// Length of the timed block drawn in week/day columns (minutes)
+const INGRESS_EVENT_DURATION = 60;
+
+const SIGN_INGRESS_COLOR = '#0284c7'; // sky
+const HOUSE_INGRESS_COLOR = '#65a30d'; // lime
+
+/**
+ * Calculate ingress events for a given calendarDate (local date).
+ *
+ * Event format (compatible with rendering):
+ * {
+ *   id: 'ingress-YYYYMMDD-mars-leo' | 'house-ingress-YYYYMMDD-mars-5',
+ *   title: '♂ Mars enters ♌ Leo',
+ *   date: Date (exact crossing moment, local),
+ *   startTime: minutes after local midnight,
+ *   endTime: startTime + 60 (max 1440),
+ *   color: '#...',
+ *   meta: { type: 'ingress'|'house-ingress', planet, sign|house, retrograde, reentry, exactTime }
+ * }
+ */
+export function getIngressEventsForDate(calendarDate) {
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+
+  const events = [
+    ...getSignIngressEvents(dayStart, dayEnd, idDate),
+    ...getHouseIngressEvents(dayStart, dayEnd, idDate)
+  ];
+
+  return events.sort((a, b) => a.startTime - b.startTime);
+}
+
+function getSignIngressEvents(dayStart, dayEnd, idDate) {
+  const settings = getChartSettings();
+  const events = [];
+
+  for (const body of INGRESS_BODIES) {
+    for (const ingress of findIngresses(body, dayStart, dayEnd, settings)) {
+      const key = toPointKey(body);
+      const verb = ingress.retrograde ? 'retrogrades into' : ingress.reentry ? 're-enters' : 'enters';
+      const suffix = ingress.retrograde ? ' ℞' : '';
+
+      events.push(createIngressEvent({
+        id: `ingress-${idDate}-${key}-${ingress.sign.toLowerCase()}`,
+        title: `${pointLabel(key)} ${verb} ${ZODIAC_SYMBOLS[ingress.sign]} ${ingress.sign}${suffix}`,
+        date: ingress.date,
+        dayStart,
+        color: SIGN_INGRESS_COLOR,
+        meta: {
+          type: 'ingress',
+          planet: key,
+          sign: ingress.sign,
+          previousSign: ingress.previousSign,
+          retrograde: ingress.retrograde,
+          reentry: ingress.reentry
+        }
+      }));
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Natal house ingresses (bonus layer): crossings of the natal chart's house cusps (the
+ * chart transits are calculated to, see loadNatalChart in transit-events.js)
+ * Cusps are in the natal chart's zodiac, so positions are measured in it as well.
+ */
+function getHouseIngressEvents(dayStart, dayEnd, idDate) {
+  const natal = loadNatalChart();
+  if (!natal || !Array.isArray(natal.houses) || natal.houses.length !== 12) return [];
+
+  const transitSettings = getTransitSettings(natal);
+  const cusps = natal.houses.map((house) => house.absoluteDegree);
+  const events = [];
+
+  for (const body of HOUSE_INGRESS_BODIES) {
+    for (const crossing of findLongitudeCrossings(body, cusps, dayStart, dayEnd, transitSettings)) {
+      const key = toPointKey(body);
+      const retrograde = crossing.direction === 'retrograde';
+      // Moving backwards across a cusp puts the body in the house before it
+      const house = retrograde ? ((crossing.boundaryIndex + 11) % 12) + 1 : crossing.boundaryIndex + 1;
+      const verb = retrograde ? 'retrogrades into' : 'enters';
+      const suffix = retrograde ? ' ℞' : '';
+
+      events.push(createIngressEvent({
+        id: `house-ingress-${idDate}-${key}-${house}`,
+        title: `${pointLabel(key)} ${verb} natal ${ordinal(house)} house${suffix}`,
+        date: crossing.date,
+        dayStart,
+        color: HOUSE_INGRESS_COLOR,
+        meta: {
+          type: 'house-ingress',
+          planet: key,
+          house,
+          cusp: crossing.boundary,
+          retrograde
+        }
+      }));
+    }
+  }
+
+  return events;
+}
+
+function createIngressEvent({ id, title, date, dayStart, color, meta }) {
+  const startTime = Math.floor((date.getTime() - dayStart.getTime()) / 60000);
+
+  return {
+    id,
+    title,
+    date,
+    startTime,
+    endTime: Math.min(1440, startTime + INGRESS_EVENT_DURATION),
+    color,
+    meta: {
+      ...meta,
+      exactTime: date.toISOString()
+    }
+  };
+}
@@ -1,9 +1,18 @@
 import { generateMonthCalendarDays, today, isTheSameDay } from "./date.js";
 import { isEventAllDay, eventStartsBefore } from "./event.js";
 import { attachDayDropdown } from "./day-dropdown.js";
+import { initPeriodBars } from "./period-bars.js";
 
 const calendarTemplateElement = document.querySelector("[data-template ='month-calendar']");
 const calendarDayTemplateElement = document.querySelector('[data-template="month-calendar-day"]');
+const badgeTimeFormatter = new Intl.DateTimeFormat('en-us', {
+  hour: 'numeric',
+  minute: 'numeric',
+});
+// Keep week rows compact: only the highest-scoring periods get a bar
+const MAX_PERIOD_BARS_PER_WEEK = 4;
+// Dots for the strongest transit aspects of a day
+const MAX_TRANSIT_DOTS = 3;
 const calendarWeekClasses = {
   4: "four-week",
   5: "five-week",
@@ -20,14 +29,32 @@ export function initMonthCalendar(parent, selectedDate, eventStore) {
   const calendarWeekClass = calendarWeekClasses[calendarWeeks];
   calendarElement.classList.add(calendarWeekClass);
 
-  for (const calendarDay of calendarDays) {
-    const events = eventStore.getEventsByDate(calendarDay);
+  const lastCalendarDay = calendarDays[calendarDays.length - 1];
+  const rangeEnd = new Date(lastCalendarDay.getFullYear(), lastCalendarDay.getMonth(), lastCalendarDay.getDate() + 1);
+  const periods = eventStore.getPeriodsByRange(calendarDays[0], rangeEnd);
+  const calendarDayElements = [];
+
+  for (let i = 0; i < calendarDays.length; i += 1) {
+    const calendarDay = calendarDays[i];
+
+    // Each week row starts with its spanning transit-period bars
+    if (i % 7 === 0) {
+      initPeriodRow(calendarDayListElement, calendarDays.slice(i, i + 7), periods);
+    }
+
+    // Transits are filled in below, as the worker computes them
+    const events = eventStore.getEventsByDate(calendarDay, { transits: false });
     sortCalendarDayEvents(events);
     // Pass eventStore down so day-dropdown can lazy-load events on open
-    initCalendarDay(calendarDayListElement, calendarDay, events, eventStore);
+    calendarDayElements.push(initCalendarDay(calendarDayListElement, calendarDay, events, eventStore));
   }
 
   parent.appendChild(calendarElement);
+
+  eventStore.getTransitEventsByRange(calendarDays[0], rangeEnd, (date, transitEvents) => {
+    const index = calendarDays.findIndex((calendarDay) => isTheSameDay(calendarDay, date));
+    if (index !== -1) initTransitDots(calendarDayElements[index], transitEvents);
+  });
 }
 
 function initCalendarDay(parent, calendarDay, events, eventStore) {
@@ -41,6 +68,7 @@ function initCalendarDay(parent, calendarDay, events, eventStore) {
   }
 
   calendarDayLabelElement.textContent = calendarDay.getDate();
+  initSkyBadges(calendarDayElement, events);
   // Use eventStore so the dropdown can call eventStore.getEventsByDate(date) lazily
   attachDayDropdown(calendarDayElement, calendarDay, eventStore);
 
@@ -67,6 +95,73 @@ function initCalendarDay(parent, calendarDay, events, eventStore) {
   // via the main "Create event" button which dispatches 'event-create-request'.
 
   parent.appendChild(calendarDayElement);
+  return calendarDayElement;
+}
+
+function initPeriodRow(parent, weekDays, periods) {
+  const periodRowElement = document.createElement('li');
+  periodRowElement.className = 'month-calendar__period-row';
+
+  const periodListElement = document.createElement('ul');
+  periodListElement.className = 'period-bar-list';
+  periodRowElement.appendChild(periodListElement);
+
+  if (initPeriodBars(periodListElement, weekDays, periods, MAX_PERIOD_BARS_PER_WEEK) > 0) {
+    parent.appendChild(periodRowElement);
+  }
+}
+
+// Moon phase / eclipse glyphs in the corner of the day cell (events that carry meta.glyph)
+function initSkyBadges(calendarDayElement, events) {
+  const skyEvents = events.filter((event) => event.meta && event.meta.glyph);
+  if (skyEvents.length === 0) return;
+
+  const badgeListElement = document.createElement('div');
+  badgeListElement.className = 'month-calendar__badge-list';
+
+  for (const skyEvent of skyEvents) {
+    const badgeElement = document.createElement('button');
+    badgeElement.type = 'button';
+    badgeElement.className = 'month-calendar__badge';
+    if (skyEvent.meta.type === 'eclipse') {
+      badgeElement.classList.add('month-calendar__badge--eclipse');
+    }
+    badgeElement.textContent = skyEvent.meta.glyph;
+    badgeElement.title = `${skyEvent.title} · ${badgeTimeFormatter.format(skyEvent.date)}`;
+
+    // open the same details dialog as a regular event
+    badgeElement.addEventListener('click', (e) => {
+      e.stopPropagation();
+      badgeElement.dispatchEvent(new CustomEvent('event-click', {
+        detail: {
+          event: skyEvent
+        },
+        bubbles: true
+      }));
+    });
+
+    badgeListElement.appendChild(badgeElement);
+  }
+
+  calendarDayElement.appendChild(badgeListElement);
+}
+
+// Colored dots under the pill for the day's strongest transit aspects (events come scored, descending)
+function initTransitDots(calendarDayElement, transitEvents) {
+  if (transitEvents.length === 0) return;
+
+  const dotListElement = document.createElement('div');
+  dotListElement.className = 'month-calendar__transit-dot-list';
+  dotListElement.title = `${transitEvents.length} transit aspect${transitEvents.length === 1 ? '' : 's'}`;
+
+  for (const transitEvent of transitEvents.slice(0, MAX_TRANSIT_DOTS)) {
+    const dotElement = document.createElement('span');
+    dotElement.className = 'month-calendar__transit-dot';
+    dotElement.style.setProperty('--transit-color', transitEvent.color);
+    dotListElement.appendChild(dotElement);
+  }
+
+  calendarDayElement.appendChild(dotListElement);
 }
 
 function sortCalendarDayEvents(events) {
@@ -0,0 +1,75 @@
+// Mundane aspect events generator
+// Exports getMundaneEventsForDate(date) -> timed events for aspects between two transiting
+// planets (e.g. Mars square Saturn) that become exact that day
+// Unlike transit-events.js these do not depend on a birth chart
+
+import { calculatePlanetPosition, findAspectTimes } from './ephemeris.js';
+import { ASPECTS, aspectColor, pointLabel, toPointKey } from './transit-events.js';
+import { getChartSettings } from './chart-settings.js';
+
+// The Moon aspects every planet each month - too noisy for the mundane layer
+const MUNDANE_BODIES = ['Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+
+// Length of the timed block drawn at the exact moment in week/day columns (minutes)
+const MUNDANE_EVENT_DURATION = 60;
+
+/**
+ * Calculate mundane aspect events for a given calendarDate (local date).
+ *
+ * Event format (compatible with rendering):
+ * {
+ *   id: 'mundane-YYYYMMDD-mars-saturn-Square',
+ *   title: '♂ Mars □ ♄ Saturn',
+ *   date: Date (exact moment, local),
+ *   startTime: minutes after local midnight,
+ *   endTime: startTime + 60 (max 1440),
+ *   color: '#...', // color by aspect, as for natal transits
+ *   meta: { type: 'mundane-aspect', planet1, planet2, aspect, symbol, exactTime, position1, position2 }
+ * }
+ */
+export function getMundaneEventsForDate(calendarDate) {
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+
+  const settings = getChartSettings();
+  const angles = ASPECTS.map((aspect) => aspect.target);
+  const events = [];
+
+  MUNDANE_BODIES.forEach((body1, index) => {
+    for (const body2 of MUNDANE_BODIES.slice(index + 1)) {
+      for (const hit of findAspectTimes(body1, body2, angles, dayStart, dayEnd)) {
+        const aspect = ASPECTS.find((a) => a.target === hit.angle);
+        const key1 = toPointKey(body1);
+        const key2 = toPointKey(body2);
+        const position1 = calculatePlanetPosition(body1, hit.date, settings);
+        const position2 = calculatePlanetPosition(body2, hit.date, settings);
+        const startTime = Math.floor((hit.date.getTime() - dayStart.getTime()) / 60000);
+
+        events.push({
+          id: `mundane-${idDate}-${key1}-${key2}-${aspect.name}`,
+          title: `${pointLabel(key1)} ${aspect.symbol} ${pointLabel(key2)}`,
+          date: hit.date,
+          startTime,
+          endTime: Math.min(1440, startTime + MUNDANE_EVENT_DURATION),
+          color: aspectColor(aspect.name),
+          meta: {
+            type: 'mundane-aspect',
+            planet1: key1,
+            planet2: key2,
+            aspect: aspect.name,
+            symbol: aspect.symbol,
+            exactTime: hit.date.toISOString(),
+            position1,
+            position2
+          }
+        });
+      }
+    }
+  });
+
+  return events.sort((a, b) => a.startTime - b.startTime);
+}
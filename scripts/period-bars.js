@@ -0,0 +1,111 @@
+// Period bars — multi-day transit periods drawn as single bars spanning day columns
+// Used by the month rows and the week all-day row. Each parent is a grid with one
+// column per day; bars are auto-placed into lanes by the grid.
+
+import { isTheSameDay } from "./date.js";
+
+const periodDateFormatter = new Intl.DateTimeFormat('en-us', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * Render bars for the periods overlapping the given consecutive days
+ * @param {HTMLElement} parent - Grid element with one column per day
+ * @param {Array<Date>} days - Consecutive days shown by the grid columns
+ * @param {Array<object>} periods - Periods from eventStore.getPeriodsByRange (highest score first)
+ * @param {number} maxBars - Maximum number of bars to render (periods exact within the days win)
+ * @returns {number} Number of bars rendered
+ */
+export function initPeriodBars(parent, days, periods, maxBars = Infinity) {
+  const firstDay = days[0];
+  const lastDay = days[days.length - 1];
+  const rangeStart = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate());
+  const rangeEnd = new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1);
+
+  // Periods that perfect inside the range come first, then by score (input order)
+  const isExactInRange = (period) => period.exactHits.some((hit) => hit.date >= rangeStart && hit.date < rangeEnd);
+  const visiblePeriods = periods
+    .filter((period) => (!period.start || period.start < rangeEnd) && (!period.end || period.end > rangeStart))
+    .sort((a, b) => isExactInRange(b) - isExactInRange(a))
+    .slice(0, maxBars);
+
+  for (const period of visiblePeriods) {
+    const continuesBefore = !period.start || period.start < rangeStart;
+    const continuesAfter = !period.end || period.end >= rangeEnd;
+    const startIndex = continuesBefore ? 0 : days.findIndex((day) => isTheSameDay(day, period.start));
+    const endIndex = continuesAfter ? days.length - 1 : days.findIndex((day) => isTheSameDay(day, period.end));
+    const span = endIndex - startIndex + 1;
+
+    const barElement = document.createElement('li');
+    barElement.className = 'period-bar';
+    barElement.classList.toggle('period-bar--continues-before', continuesBefore);
+    barElement.classList.toggle('period-bar--continues-after', continuesAfter);
+    barElement.style.gridColumn = `${startIndex + 1} / span ${span}`;
+    barElement.style.setProperty('--event-color', period.color);
+    barElement.title = formatPeriodSummary(period);
+
+    const titleElement = document.createElement('span');
+    titleElement.className = 'period-bar__title';
+    titleElement.textContent = period.title;
+    barElement.appendChild(titleElement);
+
+    // Diamond markers at the exact hits shown by this bar
+    const spanStart = days[startIndex].getTime();
+    const spanMs = new Date(days[endIndex].getFullYear(), days[endIndex].getMonth(), days[endIndex].getDate() + 1).getTime() - spanStart;
+    for (const hit of period.exactHits) {
+      const offset = (hit.date.getTime() - spanStart) / spanMs;
+      if (offset < 0 || offset > 1) continue;
+
+      const exactElement = document.createElement('span');
+      exactElement.className = 'period-bar__exact';
+      exactElement.style.left = `${offset * 100}%`;
+      barElement.appendChild(exactElement);
+    }
+
+    barElement.addEventListener('click', (e) => {
+      e.stopPropagation();
+      barElement.dispatchEvent(new CustomEvent('event-click', {
+        detail: {
+          event: toPeriodEvent(period, rangeStart)
+        },
+        bubbles: true
+      }));
+    });
+
+    parent.appendChild(barElement);
+  }
+
+  return visiblePeriods.length;
+}
+
+/**
+ * One-line summary of a period: orb window and exact hits
+ * @param {object} period - Period from getTransitPeriods
+ * @returns {string} e.g. 'In orb Mar 28, 2026 – May 5, 2027 · exact Jun 12, 2026, Sep 9, 2026 ℞'
+ */
+export function formatPeriodSummary(period) {
+  const start = period.start ? periodDateFormatter.format(period.start) : 'over a year earlier';
+  const end = period.end ? periodDateFormatter.format(period.end) : 'over a year later';
+  const hits = period.exactHits.map((hit) => `${periodDateFormatter.format(hit.date)}${hit.retrograde ? ' ℞' : ''}`);
+
+  return `In orb ${start} – ${end} · ${hits.length > 0 ? `exact ${hits.join(', ')}` : 'no exact hit found'}`;
+}
+
+// Event-shaped object so a bar opens the regular event details dialog
+function toPeriodEvent(period, fallbackDate) {
+  return {
+    id: period.id,
+    title: period.title,
+    date: period.start || fallbackDate,
+    startTime: 0,
+    endTime: 1440,
+    color: period.color,
+    meta: {
+      ...period.meta,
+      type: 'transit-period',
+      summary: formatPeriodSummary(period)
+    }
+  };
+}
@@ -0,0 +1,225 @@
+// ============================================
+// PLANETARY HOURS
+// Day (sunrise -> sunset) and night (sunset -> next sunrise) are each split into
+// 12 unequal hours, ruled in Chaldean order starting with the ruler of the weekday
+// ============================================
+
+import { PLANET_SYMBOLS } from './astrology-core.js';
+import { findRiseSetTimes } from './ephemeris.js';
+
+// Chaldean order: slowest to fastest as seen from Earth
+const CHALDEAN_ORDER = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
+
+// Ruler of the first hour after sunrise, by weekday (Date.getDay(): Sunday = 0)
+const DAY_RULERS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn'];
+
+// Traditional planetary colors, used for the hour bands
+const HOUR_COLORS = {
+  Saturn: '#475569',
+  Jupiter: '#2563eb',
+  Mars: '#dc2626',
+  Sun: '#f59e0b',
+  Venus: '#16a34a',
+  Mercury: '#f97316',
+  Moon: '#94a3b8'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sidebar refresh interval
+const CURRENT_HOUR_REFRESH_MS = 60 * 1000;
+
+const hourTimeFormatter = new Intl.DateTimeFormat('en-us', {
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+/**
+ * Location used for planetary hours: the coordinates stored with the profile
+ * Falls back to the birth chart's location for charts saved without a profile.
+ * @returns {object|null} {latitude, longitude} or null when unknown
+ */
+export function getProfileLocation() {
+  try {
+    const userData = JSON.parse(localStorage.getItem('userRegistrationData'));
+    if (userData && Number.isFinite(userData.birthLat) && Number.isFinite(userData.birthLon)) {
+      return { latitude: userData.birthLat, longitude: userData.birthLon };
+    }
+
+    const natal = JSON.parse(localStorage.getItem('birthChart'));
+    const metadata = natal && natal.metadata;
+    if (metadata && metadata.latitude != null && metadata.longitude != null) {
+      return { latitude: metadata.latitude, longitude: metadata.longitude };
+    }
+  } catch (e) {
+    console.warn('Failed to read profile location', e);
+  }
+
+  return null;
+}
+
+/**
+ * The 24 planetary hours of the planetary day starting at sunrise on a calendar date
+ * @param {Date} calendarDate - Local date
+ * @param {object} location - {latitude, longitude}
+ * @returns {Array<object>} [{index, ruler, symbol, color, isNight, start, end}]
+ *   (empty when the Sun does not rise and set, e.g. polar day/night)
+ */
+export function getPlanetaryHours(calendarDate, location) {
+  const dayStart = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate());
+  const riseSet = findRiseSetTimes('Sun', dayStart, new Date(dayStart.getTime() + 3 * DAY_MS), location.latitude, location.longitude);
+
+  const sunrise = riseSet.find((event) => event.type === 'rise' && event.date < new Date(dayStart.getTime() + DAY_MS));
+  if (!sunrise) return [];
+  const sunset = riseSet.find((event) => event.type === 'set' && event.date > sunrise.date);
+  const nextSunrise = sunset && riseSet.find((event) => event.type === 'rise' && event.date > sunset.date);
+  if (!nextSunrise) return [];
+
+  const firstRulerIndex = CHALDEAN_ORDER.indexOf(DAY_RULERS[getLocalWeekday(sunrise.date, location)]);
+  const dayHourMs = (sunset.date - sunrise.date) / 12;
+  const nightHourMs = (nextSunrise.date - sunset.date) / 12;
+  const hours = [];
+
+  for (let index = 0; index < 24; index++) {
+    const isNight = index >= 12;
+    const start = isNight
+      ? new Date(sunset.date.getTime() + (index - 12) * nightHourMs)
+      : new Date(sunrise.date.getTime() + index * dayHourMs);
+    const end = new Date(start.getTime() + (isNight ? nightHourMs : dayHourMs));
+    const ruler = CHALDEAN_ORDER[(firstRulerIndex + index) % CHALDEAN_ORDER.length];
+
+    hours.push({
+      index,
+      ruler,
+      symbol: PLANET_SYMBOLS[ruler.toLowerCase()],
+      color: HOUR_COLORS[ruler],
+      isNight,
+      start,
+      end
+    });
+  }
+
+  return hours;
+}
+
+/**
+ * Weekday at a location (not in the browser's timezone, which may be a day off for a
+ * distant location), from its local mean solar time: sunrise is hours away from
+ * midnight there, so this matches the weekday of the location's own timezone
+ * @param {Date} date - Moment
+ * @param {object} location - {longitude}
+ * @returns {number} Sunday = 0, as Date.getDay()
+ */
+function getLocalWeekday(date, location) {
+  return new Date(date.getTime() + (location.longitude / 15) * HOUR_MS).getUTCDay();
+}
+
+/**
+ * Planetary hours overlapping a local calendar day
+ * The hours before sunrise belong to the previous day's night.
+ * @param {Date} calendarDate - Local date
+ * @param {object} location - Optional {latitude, longitude}; defaults to the profile location
+ * @returns {Array<object>} Hours as in getPlanetaryHours, sorted by start
+ */
+export function getPlanetaryHoursForDate(calendarDate, location = getProfileLocation()) {
+  if (!location) return [];
+
+  const dayStart = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate());
+  const dayEnd = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate() + 1);
+  const previousDay = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate() - 1);
+
+  return [...getPlanetaryHours(previousDay, location), ...getPlanetaryHours(dayStart, location)]
+    .filter((hour) => hour.start < dayEnd && hour.end > dayStart);
+}
+
+/**
+ * The planetary hour in effect at a moment
+ * @param {Date} date - Moment (defaults to now)
+ * @param {object} location - Optional {latitude, longitude}; defaults to the profile location
+ * @returns {object|null} Hour as in getPlanetaryHours, plus dayRuler
+ */
+export function getCurrentPlanetaryHour(date = new Date(), location = getProfileLocation()) {
+  if (!location) return null;
+
+  const hours = getPlanetaryHoursForDate(date, location);
+  const current = hours.find((hour) => hour.start <= date && date < hour.end);
+  if (!current) return null;
+
+  // The day ruler is the ruler of the first hour of the planetary day
+  const dayRulerIndex = (CHALDEAN_ORDER.indexOf(current.ruler) - current.index % 7 + 7) % 7;
+  return { ...current, dayRuler: CHALDEAN_ORDER[dayRulerIndex] };
+}
+
+/**
+ * Render background bands for the planetary hours of a day into a week/day column
+ * Bands go first so the events drawn afterwards stay on top.
+ * @param {HTMLElement} parent - Week calendar column (position: relative)
+ * @param {Date} calendarDate - Local date of the column
+ */
+export function initPlanetaryHourBands(parent, calendarDate) {
+  const hours = getPlanetaryHoursForDate(calendarDate);
+  if (hours.length === 0) return;
+
+  const dayStart = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate());
+  const toPercentage = (date) => Math.min(100, Math.max(0, 100 * (date - dayStart) / DAY_MS));
+  const fragment = document.createDocumentFragment();
+
+  for (const hour of hours) {
+    const bandElement = document.createElement('div');
+    bandElement.className = 'planetary-hour-band';
+    bandElement.classList.toggle('planetary-hour-band--night', hour.isNight);
+    bandElement.style.top = `${toPercentage(hour.start)}%`;
+    bandElement.style.bottom = `${100 - toPercentage(hour.end)}%`;
+    bandElement.style.setProperty('--hour-color', hour.color);
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'planetary-hour-band__label';
+    labelElement.textContent = hour.symbol;
+    bandElement.appendChild(labelElement);
+
+    fragment.appendChild(bandElement);
+  }
+
+  parent.prepend(fragment);
+}
+
+/**
+ * Show the current planetary hour in the sidebar and keep it up to date
+ */
+export function initPlanetaryHours() {
+  const container = document.querySelector('[data-planetary-hours]');
+  if (!container) return;
+
+  const currentElement = container.querySelector('[data-planetary-hours-current]');
+  const detailElement = container.querySelector('[data-planetary-hours-detail]');
+
+  function render() {
+    if (!getProfileLocation()) {
+      container.style.setProperty('--hour-color', 'transparent');
+      currentElement.textContent = 'No location available';
+      detailElement.textContent = 'Register a birth place to see planetary hours.';
+      return;
+    }
+
+    const hour = getCurrentPlanetaryHour();
+    if (!hour) {
+      container.style.setProperty('--hour-color', 'transparent');
+      currentElement.textContent = 'No planetary hours today';
+      detailElement.textContent = 'The Sun does not rise and set at this location.';
+      return;
+    }
+
+    container.style.setProperty('--hour-color', hour.color);
+    currentElement.textContent = `${hour.symbol} Hour of ${hour.ruler}`;
+    detailElement.textContent = `${hourTimeFormatter.format(hour.start)} – ${hourTimeFormatter.format(hour.end)} · ${hour.isNight ? 'night' : 'day'} hour ${hour.index % 12 + 1} · day of ${hour.dayRuler}`;
+  }
+
+  render();
+  setInterval(render, CURRENT_HOUR_REFRESH_MS);
+
+  // Registration or a changed location moves the hours
+  document.addEventListener('event-change', render);
+}
+
+console.log('⏳ Planetary Hours module loaded');
@@ -0,0 +1,55 @@
+// Sidebar profile switcher: pick the active profile, add one (through the registration
+// dialog) or delete the active one
+// Requires: getProfiles, saveActiveProfile, getActiveProfileId, switchProfile, deleteProfile and showRegistrationDialog
+
+import { getProfiles, saveActiveProfile, getActiveProfileId, switchProfile, deleteProfile } from './profiles.js';
+import { showRegistrationDialog } from './user-registration.js';
+
+export function initProfileSwitcher() {
+  const container = document.querySelector('[data-profile-switcher]');
+  if (!container) return;
+
+  const profileSelect = container.querySelector('[data-profile-select]');
+  const addButton = container.querySelector('[data-profile-add]');
+  const deleteButton = container.querySelector('[data-profile-delete]');
+
+  function render() {
+    const profiles = getProfiles();
+    const activeId = getActiveProfileId();
+
+    profileSelect.innerHTML = '';
+    for (const profile of profiles) {
+      const option = document.createElement('option');
+      option.value = String(profile.id);
+      option.textContent = profile.name || 'Unnamed';
+      option.selected = profile.id === activeId;
+      profileSelect.appendChild(option);
+    }
+
+    profileSelect.disabled = profiles.length < 2;
+    deleteButton.hidden = profiles.length === 0;
+  }
+
+  profileSelect.addEventListener('change', () => {
+    switchProfile(Number(profileSelect.value));
+  });
+
+  addButton.addEventListener('click', () => {
+    showRegistrationDialog();
+  });
+
+  deleteButton.addEventListener('click', () => {
+    const active = getProfiles().find((profile) => profile.id === getActiveProfileId());
+    if (!active || !confirm(`Delete the profile of ${active.name}?`)) return;
+    deleteProfile(active.id);
+  });
+
+  // Registration adds profiles too; the list is cheap to rebuild
+  document.addEventListener('profile-change', render);
+
+  // Stores data saved before profiles existed as the first profile
+  saveActiveProfile();
+  render();
+}
+
+console.log('👥 Profile switcher module loaded');
@@ -0,0 +1,183 @@
+// ============================================
+// PROFILES
+// Every person charts are kept for (the user, clients, family), each with their own
+// birth data, chart settings and birth chart, stored as 'profiles'.
+// The active profile is mirrored into userRegistrationData and birthChart, which the
+// rest of the app reads, so switching profiles moves the sidebar, the chart toggle,
+// transits and every other generated layer to that person. Their second person, transit
+// base and return location are mirrored the same way (PROFILE_KEYS).
+// ============================================
+
+import { displayBirthChart } from './birth-chart-display.js';
+import { applyChartSettings } from './chart-settings.js';
+
+// Per-person data kept under its own key by synastry.js, relationship-charts.js and return-chart.js
+const PROFILE_KEYS = ['partnerData', 'transitBaseChart', 'returnSettings'];
+
+/**
+ * All stored profiles, as of the last save (the active one's current data is in its mirror)
+ * @returns {Array<object>} [{id, name, birthday, birthTime, birthPlace, birthLat, birthLon, settings, birthChart, partnerData, ...}]
+ */
+export function getProfiles() {
+  return loadProfiles();
+}
+
+/**
+ * Write the active profile's mirror back into the stored profiles
+ * (settings changes, chart recalculations and the second person are written to the mirror only)
+ * Data saved before profiles existed becomes the first profile.
+ * @returns {Array<object>} The stored profiles
+ */
+export function saveActiveProfile() {
+  const profiles = loadProfiles();
+  const userData = loadJSON('userRegistrationData');
+  if (!userData) return profiles;
+
+  const activeId = getActiveProfileId();
+  const profile = { ...userData, birthChart: loadJSON('birthChart') || userData.birthChart };
+  for (const key of PROFILE_KEYS) {
+    const value = loadJSON(key);
+    if (value) profile[key] = value;
+  }
+  const index = profiles.findIndex((entry) => entry.id === activeId);
+
+  if (index === -1) {
+    profile.id = createProfileId(profiles);
+    profiles.push(profile);
+    localStorage.setItem('activeProfileId', String(profile.id));
+  } else {
+    profiles[index] = { ...profile, id: activeId };
+  }
+
+  saveProfiles(profiles);
+  return profiles;
+}
+
+/**
+ * Id of the active profile
+ * @returns {number|null}
+ */
+export function getActiveProfileId() {
+  const id = localStorage.getItem('activeProfileId');
+  return id === null ? null : Number(id);
+}
+
+/**
+ * Store a newly registered person as a profile and make it the active one
+ * @param {object} userData - Registration data, birthChart included
+ * @returns {object} The stored profile
+ */
+export function createProfile(userData) {
+  const profiles = saveActiveProfile(); // keeps the profile being replaced up to date
+  const profile = { ...userData, id: createProfileId(profiles) };
+  profiles.push(profile);
+  saveProfiles(profiles);
+
+  activateProfile(profile);
+  return profile;
+}
+
+/**
+ * Make a stored profile the active one
+ * @param {number} id - Profile id
+ * @returns {object|null} The profile, or null when there is none with that id
+ */
+export function switchProfile(id) {
+  const profile = saveActiveProfile().find((entry) => entry.id === id);
+  if (!profile) return null;
+
+  activateProfile(profile);
+  return profile;
+}
+
+/**
+ * Delete a profile; deleting the active one switches to the next remaining profile
+ * @param {number} id - Profile id
+ * @returns {object|null} The profile active afterwards (null when none are left)
+ */
+export function deleteProfile(id) {
+  const profiles = saveActiveProfile().filter((entry) => entry.id !== id);
+  saveProfiles(profiles);
+
+  if (id !== getActiveProfileId()) {
+    return profiles.find((entry) => entry.id === getActiveProfileId()) || null;
+  }
+
+  if (profiles.length) {
+    activateProfile(profiles[0]);
+    return profiles[0];
+  }
+
+  localStorage.removeItem('userRegistrationData');
+  localStorage.removeItem('birthChart');
+  localStorage.removeItem('activeProfileId');
+  PROFILE_KEYS.forEach((key) => localStorage.removeItem(key));
+  displayBirthChart(null);
+  announceProfileChange(null);
+  return null;
+}
+
+/**
+ * Forget every profile (and the active one's second person, transit base and return location)
+ */
+export function clearProfiles() {
+  localStorage.removeItem('profiles');
+  localStorage.removeItem('activeProfileId');
+  PROFILE_KEYS.forEach((key) => localStorage.removeItem(key));
+}
+
+// Mirror a profile into the keys the rest of the app reads and refresh everything
+function activateProfile(profile) {
+  const { id, partnerData, transitBaseChart, returnSettings, ...userData } = profile;
+  localStorage.setItem('userRegistrationData', JSON.stringify(userData));
+  for (const key of ['birthChart', ...PROFILE_KEYS]) {
+    if (profile[key]) {
+      localStorage.setItem(key, JSON.stringify(profile[key]));
+    } else {
+      localStorage.removeItem(key);
+    }
+  }
+  localStorage.setItem('activeProfileId', String(id));
+  console.log(`👤 Active profile: ${profile.name}`);
+
+  applyChartSettings();
+  displayBirthChart(profile.birthChart || null);
+  announceProfileChange(profile);
+}
+
+function announceProfileChange(profile) {
+  document.dispatchEvent(new CustomEvent('profile-change', {
+    detail: { profile },
+    bubbles: true
+  }));
+
+  document.dispatchEvent(new CustomEvent('event-change', {
+    bubbles: true
+  }));
+}
+
+function createProfileId(profiles) {
+  // Date.now() like event ids, bumped past existing ids created within the same millisecond
+  return Math.max(Date.now(), ...profiles.map((entry) => entry.id + 1));
+}
+
+function loadProfiles() {
+  const profiles = loadJSON('profiles');
+  return Array.isArray(profiles) ? profiles : [];
+}
+
+function saveProfiles(profiles) {
+  localStorage.setItem('profiles', JSON.stringify(profiles));
+}
+
+function loadJSON(key) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn(`Failed to parse ${key} from localStorage`, e);
+    return null;
+  }
+}
+
+console.log('👥 Profiles module loaded');
@@ -0,0 +1,145 @@
+// ============================================
+// PROGRESSED CHART
+// Secondary progressions ("a day for a year"): the sky N days after birth describes
+// year N of life, so each real date maps to a progressed date shortly after birth.
+// Progressed angles are directed by the solar arc in right ascension (the progressed
+// Sun's advance in RA, applied to the birth sidereal time at the birth place).
+// ============================================
+
+import { initAstronomy, calculatePlanetPosition, calculateHouses } from './ephemeris.js';
+import { PLANETS, POINTS, calculatePartOfFortune } from './astrology-core.js';
+import { getPlanetHouse } from './current-chart.js';
+import { getTransitSettings } from './transit-events.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One progressed day per tropical year of life
+const TROPICAL_YEAR_DAYS = 365.24219;
+
+// Sidereal time gained per mean solar day (degrees)
+const SIDEREAL_DEGREES_PER_DAY = 360.98564736629;
+
+/**
+ * Progressed date for a real date: birth + (days since birth / tropical year)
+ * @param {object} natal - Birth chart (metadata.utcDateTime is the birth moment)
+ * @param {Date} date - Real date
+ * @returns {Date} Moment whose sky is the progressed chart for date
+ */
+export function getProgressedDate(natal, date) {
+  const birthMs = new Date(natal.metadata.utcDateTime).getTime();
+  return new Date(birthMs + (date.getTime() - birthMs) / TROPICAL_YEAR_DAYS);
+}
+
+/**
+ * Progressed Ascendant, Midheaven and house cusps for a real date
+ * The solar arc in RA turns the birth sidereal time; houses are then cast for the
+ * birth place at the moment that sidereal time was reached on the birth day.
+ * @param {object} natal - Birth chart with metadata and zodiac settings
+ * @param {Date} date - Real date
+ * @returns {object|null} {ascendant, midheaven, houses, houseSystem} as from calculateHouses
+ */
+export function calculateProgressedAngles(natal, date) {
+  const settings = getTransitSettings(natal);
+  const birth = new Date(natal.metadata.utcDateTime);
+  const natalSun = calculatePlanetPosition('Sun', birth, settings);
+  const progressedSun = calculatePlanetPosition('Sun', getProgressedDate(natal, date), settings);
+  if (!natalSun || !progressedSun) return null;
+
+  // Signed, so dates before birth direct the angles backwards
+  const arc = ((progressedSun.rightAscension - natalSun.rightAscension + 540) % 360) - 180;
+  const directedDate = new Date(birth.getTime() + (arc / SIDEREAL_DEGREES_PER_DAY) * DAY_MS);
+
+  return calculateHouses(directedDate, natal.metadata.latitude, natal.metadata.longitude, {
+    ...settings,
+    houseSystem: natal.houseSystem
+  });
+}
+
+/**
+ * Progressed longitude of one planet or angle (in the natal chart's zodiac)
+ * @param {object} natal - Birth chart
+ * @param {string} key - Planet key ('sun' ... 'pluto') or angle ('ascendant', 'midheaven')
+ * @param {Date} date - Real date
+ * @returns {number|null} Longitude in degrees (0-360)
+ */
+export function calculateProgressedLongitude(natal, key, date) {
+  if (key === 'ascendant' || key === 'midheaven') {
+    const angles = calculateProgressedAngles(natal, date);
+    return angles ? angles[key].absoluteDegree : null;
+  }
+
+  const position = calculatePlanetPosition(toBodyName(key), getProgressedDate(natal, date), getTransitSettings(natal));
+  return position ? position.absoluteDegree : null;
+}
+
+/**
+ * Calculate the secondary progressed chart of a birth chart for a real date.
+ * Uses the natal chart's zodiac, house system and (topocentric) observer.
+ *
+ * Returns an object shaped like the calculateBirthChart() output, with
+ * metadata.progressedDate (the progressed sky's moment) and metadata.forDate;
+ * planets are placed in the progressed houses.
+ * @param {object} natal - Birth chart
+ * @param {Date} date - Real date (defaults to now)
+ */
+export async function calculateProgressedChart(natal, date = new Date()) {
+  await initAstronomy();
+
+  const settings = getTransitSettings(natal);
+  const progressedDate = getProgressedDate(natal, date);
+
+  const chart = {
+    metadata: {
+      forDate: date.toISOString(),
+      progressedDate: progressedDate.toISOString(),
+      latitude: natal.metadata.latitude,
+      longitude: natal.metadata.longitude,
+      calculatedAt: new Date().toISOString()
+    },
+    zodiac: natal.zodiac,
+    topocentric: natal.topocentric
+  };
+
+  if (natal.zodiac === 'Sidereal') {
+    chart.ayanamsa = natal.ayanamsa;
+    chart.ayanamsaDegrees = natal.ayanamsaDegrees;
+  }
+
+  for (const key of [...PLANETS, ...POINTS]) {
+    chart[key] = calculatePlanetPosition(toBodyName(key), progressedDate, settings);
+  }
+
+  const angles = calculateProgressedAngles(natal, date);
+  if (angles) {
+    chart.ascendant = angles.ascendant;
+    chart.midheaven = angles.midheaven;
+    chart.houses = angles.houses;
+    chart.houseSystem = angles.houseSystem;
+
+    if (chart.sun && chart.moon) {
+      chart.partOfFortune = calculatePartOfFortune(
+        chart.ascendant.absoluteDegree,
+        chart.sun.absoluteDegree,
+        chart.moon.absoluteDegree
+      );
+    }
+
+    const houseCuspDegrees = chart.houses.map(h => h.absoluteDegree);
+    for (const key of [...PLANETS, ...POINTS, 'partOfFortune']) {
+      if (chart[key]) {
+        chart[key].house = getPlanetHouse(chart[key].absoluteDegree, houseCuspDegrees);
+      }
+    }
+  } else {
+    chart.houses = [];
+  }
+
+  return chart;
+}
+
+// Chart key -> body name (sun -> Sun, meanNode -> MeanNode)
+function toBodyName(key) {
+  return key[0].toUpperCase() + key.slice(1);
+}
+
+console.log('🌒 Progressed Chart module loaded');
@@ -0,0 +1,176 @@
+// Secondary progression events generator
+// Exports getProgressionEventsForDate(date, natal?) -> events for the progressions that become
+// exact that day: progressed planets and angles aspecting the natal planets and angles,
+// and the progressed Moon entering a new sign or natal house
+// A calendar day is only ~4 minutes of progressed time, so these are all-day events
+// (the exact moment found by bisection is kept in meta.exactTime)
+
+import { PLANET_SYMBOLS, ZODIAC_SIGNS, ZODIAC_SYMBOLS, PLANETS, ANGLES, bisectTime } from './astrology-core.js';
+import { longitudeDistance } from './ephemeris.js';
+import { getProgressedDate, calculateProgressedLongitude } from './progressed-chart.js';
+import { aspectColor, collectAspectTargets, loadNatalChart, pointLabel, ordinal } from './transit-events.js';
+
+// Progressed bodies and the natal points they aspect
+const PROGRESSED_POINTS = [...PLANETS, ...ANGLES];
+const NATAL_TARGETS = [...PLANETS, ...ANGLES];
+
+const PROGRESSED_MOON_COLOR = '#0891b2'; // cyan
+
+const progressedDateFormatter = new Intl.DateTimeFormat('en-US', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+/**
+ * Calculate progression events for a given calendarDate (local date).
+ * Only days after the birth day have progressions.
+ *
+ * Events are shaped as in getTransitEventsForDate (transit-events.js), all-day, with
+ *   id: 'progression-YYYYMMDD-sun-moon-Trine' | 'progressed-moon-YYYYMMDD-leo' | 'progressed-moon-house-YYYYMMDD-5',
+ *   title: 'Progressed ☉ Sun △ natal ☽ Moon',
+ *   meta: { type: 'progression'|'progressed-moon-ingress'|'progressed-moon-house-ingress',
+ *           progressedPlanet, natalPlanet, aspect, symbol | sign | house, exactTime, progressedDate, summary }
+ * natal defaults to the stored birth chart.
+ */
+export function getProgressionEventsForDate(calendarDate, natal = loadNatalChart({ transitBase: false })) {
+  if (!natal || !natal.metadata || !natal.metadata.utcDateTime) return [];
+
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+
+  if (dayStart < new Date(natal.metadata.utcDateTime)) return [];
+
+  return [
+    ...getAspectEvents(natal, dayStart, dayEnd, idDate),
+    ...getMoonIngressEvents(natal, dayStart, dayEnd, idDate)
+  ].sort((a, b) => a.date - b.date);
+}
+
+function getAspectEvents(natal, dayStart, dayEnd, idDate) {
+  const targets = collectAspectTargets(natal, NATAL_TARGETS).longitudeTargets;
+  const events = [];
+
+  for (const progressedKey of PROGRESSED_POINTS) {
+    const valueAt = (ms) => calculateProgressedLongitude(natal, progressedKey, new Date(ms));
+
+    for (const crossing of findDayCrossings(valueAt, targets.map(t => t.point), dayStart, dayEnd)) {
+      const { natalKey, aspect } = targets[crossing.boundaryIndex];
+
+      events.push(createProgressionEvent(natal, {
+        id: `progression-${idDate}-${progressedKey}-${natalKey}-${aspect.name}`,
+        title: `Progressed ${pointLabel(progressedKey)} ${aspect.symbol} natal ${pointLabel(natalKey)}`,
+        date: crossing.date,
+        dayStart,
+        color: aspectColor(aspect.name),
+        meta: {
+          type: 'progression',
+          progressedPlanet: progressedKey,
+          natalPlanet: natalKey,
+          aspect: aspect.name,
+          symbol: aspect.symbol,
+          retrograde: crossing.direction === 'retrograde'
+        }
+      }));
+    }
+  }
+
+  return events;
+}
+
+/**
+ * The progressed Moon changes sign about every two and a half years; house changes
+ * are measured against the natal cusps (the progressed Moon moving through the birth chart)
+ */
+function getMoonIngressEvents(natal, dayStart, dayEnd, idDate) {
+  const valueAt = (ms) => calculateProgressedLongitude(natal, 'moon', new Date(ms));
+  const signs = Object.keys(ZODIAC_SIGNS);
+  const events = [];
+
+  for (const crossing of findDayCrossings(valueAt, signs.map(sign => ZODIAC_SIGNS[sign]), dayStart, dayEnd)) {
+    const sign = signs[crossing.boundaryIndex];
+
+    events.push(createProgressionEvent(natal, {
+      id: `progressed-moon-${idDate}-${sign.toLowerCase()}`,
+      title: `Progressed ${PLANET_SYMBOLS.moon} Moon enters ${ZODIAC_SYMBOLS[sign]} ${sign}`,
+      date: crossing.date,
+      dayStart,
+      color: PROGRESSED_MOON_COLOR,
+      meta: { type: 'progressed-moon-ingress', progressedPlanet: 'moon', sign }
+    }));
+  }
+
+  if (Array.isArray(natal.houses) && natal.houses.length === 12) {
+    const cusps = natal.houses.map((house) => house.absoluteDegree);
+
+    for (const crossing of findDayCrossings(valueAt, cusps, dayStart, dayEnd)) {
+      const house = crossing.boundaryIndex + 1;
+
+      events.push(createProgressionEvent(natal, {
+        id: `progressed-moon-house-${idDate}-${house}`,
+        title: `Progressed ${PLANET_SYMBOLS.moon} Moon enters natal ${ordinal(house)} house`,
+        date: crossing.date,
+        dayStart,
+        color: PROGRESSED_MOON_COLOR,
+        meta: { type: 'progressed-moon-house-ingress', progressedPlanet: 'moon', house, cusp: crossing.boundary }
+      }));
+    }
+  }
+
+  return events;
+}
+
+function createProgressionEvent(natal, { id, title, date, color, meta }) {
+  const progressedDate = getProgressedDate(natal, date);
+
+  return {
+    id,
+    title,
+    date,
+    startTime: 0,
+    endTime: 1440,
+    color,
+    meta: {
+      ...meta,
+      exactTime: date.toISOString(),
+      progressedDate: progressedDate.toISOString(),
+      summary: `Exact ${progressedDateFormatter.format(date)} · progressed sky of ${progressedDateFormatter.format(progressedDate)}`
+    }
+  };
+}
+
+/**
+ * Boundaries crossed by a progressed longitude during one day
+ * Progressed bodies move at most ~0.04° a day, so the day's two ends bracket every
+ * crossing; each one is bisected to the minute.
+ */
+function findDayCrossings(valueAt, boundaries, dayStart, dayEnd) {
+  const t0 = dayStart.getTime();
+  const t1 = dayEnd.getTime();
+  const v0 = valueAt(t0);
+  const v1 = valueAt(t1);
+  if (v0 == null || v1 == null) return [];
+
+  const crossings = [];
+  boundaries.forEach((boundary, boundaryIndex) => {
+    const d0 = longitudeDistance(v0, boundary);
+    const d1 = longitudeDistance(v1, boundary);
+    if ((d0 >= 0) === (d1 >= 0) || Math.abs(d1 - d0) > 90) return;
+
+    const exactMs = bisectTime((ms) => longitudeDistance(valueAt(ms), boundary) >= 0 ? 1 : -1, t0, t1);
+    crossings.push({
+      boundaryIndex,
+      boundary,
+      direction: d1 >= 0 ? 'direct' : 'retrograde',
+      date: new Date(exactMs)
+    });
+  });
+
+  return crossings;
+}
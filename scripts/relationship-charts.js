@@ -0,0 +1,254 @@
+// ============================================
+// RELATIONSHIP CHARTS
+// Composite charts (the midpoints of two birth charts) and Davison charts (cast for
+// the moment and place midway between two births), for the user and the stored
+// second person (see synastry.js).
+// Either can be chosen as the transit base: it is then stored as transitBaseChart,
+// which transit-events.js and transit-range.js use in place of the birth chart. It is
+// recalculated when the two birth charts are, and dropped once either person changes.
+// ============================================
+
+import { PLANETS, POINTS, LOTS, ANGLES, toZodiacPosition } from './astrology-core.js';
+import { calculateCurrentChart, getPlanetHouse } from './current-chart.js';
+import { loadPartnerData } from './synastry.js';
+
+export const RELATIONSHIP_CHARTS = ['composite', 'davison'];
+
+const RELATIONSHIP_TITLES = { composite: 'Composite Chart', davison: 'Davison Chart' };
+
+// Points combined into composite midpoints (angles are placed with the house cusps)
+const COMPOSITE_POINTS = [...PLANETS, ...POINTS, ...LOTS];
+
+/**
+ * Calculate the composite chart of two charts: every point at the nearer midpoint of
+ * its two positions (declinations averaged), house cusps at the midpoints of the
+ * corresponding cusps.
+ * Returns an object shaped like the calculateBirthChart() output, with
+ * metadata.relationship = 'composite'; the midpoint place is kept as the chart's place.
+ * @param {object} chartA - First birth chart
+ * @param {object} chartB - Second birth chart
+ * @param {Array<string>} names - The two people's names, for the chart caption
+ */
+export function calculateCompositeChart(chartA, chartB, names = []) {
+  const place = midpointPlace(chartA.metadata, chartB.metadata);
+
+  const chart = {
+    metadata: {
+      relationship: 'composite',
+      names,
+      latitude: place.latitude,
+      longitude: place.longitude,
+      sources: [chartA.metadata.calculatedAt, chartB.metadata.calculatedAt],
+      people: [chartIdentity(chartA), chartIdentity(chartB)],
+      calculatedAt: new Date().toISOString()
+    },
+    zodiac: chartA.zodiac,
+    ayanamsa: chartA.ayanamsa,
+    ayanamsaDegrees: chartA.ayanamsaDegrees,
+    topocentric: false,
+    houseSystem: chartA.houseSystem
+  };
+
+  for (const key of COMPOSITE_POINTS) {
+    const a = chartA[key];
+    const b = chartB[key];
+    if (!a || !b || a.absoluteDegree == null || b.absoluteDegree == null) continue;
+
+    chart[key] = toChartPosition(nearerMidpoint(a.absoluteDegree, b.absoluteDegree));
+    if (a.declination != null && b.declination != null) {
+      chart[key].declination = (a.declination + b.declination) / 2;
+    }
+  }
+
+  // Cusps and angles all take the half-difference on the same side as the Ascendants'
+  // midpoint, so the composite houses keep their zodiacal order
+  if (chartA.houses?.length === 12 && chartB.houses?.length === 12 && chartA.ascendant && chartB.ascendant) {
+    const reference = wrap180(chartB.ascendant.absoluteDegree - chartA.ascendant.absoluteDegree);
+    const midpointNear = (degA, degB) => degA + wrapNear(degB - degA, reference) / 2;
+
+    chart.houses = chartA.houses.map((house, i) => toChartPosition(midpointNear(house.absoluteDegree, chartB.houses[i].absoluteDegree)));
+    for (const key of ANGLES) {
+      if (chartA[key] && chartB[key]) {
+        chart[key] = toChartPosition(midpointNear(chartA[key].absoluteDegree, chartB[key].absoluteDegree));
+      }
+    }
+
+    const cusps = chart.houses.map((house) => house.absoluteDegree);
+    for (const key of COMPOSITE_POINTS) {
+      if (chart[key]) chart[key].house = getPlanetHouse(chart[key].absoluteDegree, cusps);
+    }
+  } else {
+    chart.houses = [];
+  }
+
+  return chart;
+}
+
+/**
+ * Calculate the Davison chart of two charts: a real chart cast (with calculateCurrentChart)
+ * for the moment midway between the two births, at the midpoint of the two birth places.
+ * Uses the first chart's house system and zodiac; metadata.relationship = 'davison'.
+ * @param {object} chartA - First birth chart
+ * @param {object} chartB - Second birth chart
+ * @param {Array<string>} names - The two people's names, for the chart caption
+ * @returns {Promise<object>}
+ */
+export async function calculateDavisonChart(chartA, chartB, names = []) {
+  const timeA = new Date(chartA.metadata.utcDateTime).getTime();
+  const timeB = new Date(chartB.metadata.utcDateTime).getTime();
+  const date = new Date((timeA + timeB) / 2);
+  const place = midpointPlace(chartA.metadata, chartB.metadata);
+
+  const chart = await calculateCurrentChart(place.latitude, place.longitude, date, {
+    houseSystem: chartA.houseSystem,
+    zodiac: chartA.zodiac,
+    ayanamsa: chartA.ayanamsa,
+    topocentric: chartA.topocentric
+  });
+
+  chart.metadata.relationship = 'davison';
+  chart.metadata.names = names;
+  chart.metadata.utcDateTime = date.toISOString();
+  chart.metadata.sources = [chartA.metadata.calculatedAt, chartB.metadata.calculatedAt];
+  chart.metadata.people = [chartIdentity(chartA), chartIdentity(chartB)];
+  return chart;
+}
+
+/**
+ * Calculate a relationship chart for the user and the stored second person
+ * @param {string} type - 'composite' or 'davison'
+ * @returns {Promise<object|null>} null when either birth chart is missing
+ */
+export async function calculateRelationshipChart(type) {
+  const chartA = loadBirthChart();
+  const partner = loadPartnerData();
+  if (!chartA || !partner || !partner.birthChart) return null;
+
+  const names = [getUserName(), partner.name || 'Partner'];
+  return type === 'davison'
+    ? calculateDavisonChart(chartA, partner.birthChart, names)
+    : calculateCompositeChart(chartA, partner.birthChart, names);
+}
+
+/**
+ * Sidebar title for a relationship chart
+ * @param {string} type - 'composite' or 'davison'
+ */
+export function getRelationshipTitle(type) {
+  return RELATIONSHIP_TITLES[type];
+}
+
+/**
+ * Chart transits are calculated to
+ * @returns {string} 'natal', 'composite' or 'davison'
+ */
+export function getTransitBase() {
+  return loadTransitBaseChart()?.metadata?.relationship || 'natal';
+}
+
+/**
+ * Choose the chart transits are calculated to and refresh the calendar
+ * @param {string} base - 'natal', 'composite' or 'davison'
+ */
+export async function setTransitBase(base) {
+  const chart = RELATIONSHIP_CHARTS.includes(base) ? await calculateRelationshipChart(base) : null;
+
+  if (chart) {
+    localStorage.setItem('transitBaseChart', JSON.stringify(chart));
+    console.log(`💾 Transits now follow the ${base} chart`);
+  } else {
+    localStorage.removeItem('transitBaseChart');
+  }
+
+  document.dispatchEvent(new CustomEvent('event-change', {
+    bubbles: true
+  }));
+}
+
+// Keep a relationship transit base in step with the two birth charts: recalculate it
+// when they were only recalculated (chart settings changed), drop it when either is
+// someone else's or a different birth (profile switch, second person changed or
+// removed); the refresh's own 'event-change' finds it current
+async function refreshTransitBase() {
+  const base = loadTransitBaseChart();
+  if (!base) return;
+
+  const charts = [loadBirthChart(), loadPartnerData()?.birthChart];
+  if (charts.every((chart, i) => chart?.metadata?.calculatedAt && chart.metadata.calculatedAt === base.metadata.sources?.[i])) return;
+
+  const samePeople = charts.every((chart, i) => chart?.metadata && chartIdentity(chart) === base.metadata.people?.[i]);
+
+  try {
+    await setTransitBase(samePeople ? base.metadata.relationship : 'natal');
+  } catch (error) {
+    console.error('❌ Error recalculating the transit base chart:', error);
+  }
+}
+
+function loadTransitBaseChart() {
+  try {
+    const raw = localStorage.getItem('transitBaseChart');
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('Failed to parse transitBaseChart from localStorage', e);
+    return null;
+  }
+}
+
+function loadBirthChart() {
+  try {
+    const raw = localStorage.getItem('birthChart');
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('Failed to parse birthChart from localStorage', e);
+    return null;
+  }
+}
+
+function getUserName() {
+  try {
+    return JSON.parse(localStorage.getItem('userRegistrationData'))?.name || 'You';
+  } catch (e) {
+    return 'You';
+  }
+}
+
+// A birth chart's moment and place, which stay the same when it is recalculated
+function chartIdentity(chart) {
+  const { utcDateTime, latitude, longitude } = chart.metadata;
+  return `${utcDateTime}@${latitude},${longitude}`;
+}
+
+// Midpoint of two birth places (longitudes across the shorter arc)
+function midpointPlace(metadataA, metadataB) {
+  return {
+    latitude: (metadataA.latitude + metadataB.latitude) / 2,
+    longitude: wrap180(metadataA.longitude + wrap180(metadataB.longitude - metadataA.longitude) / 2)
+  };
+}
+
+// Midpoint on the shorter arc between two longitudes
+function nearerMidpoint(degA, degB) {
+  return degA + wrap180(degB - degA) / 2;
+}
+
+// Angle in (-180, 180]
+function wrap180(deg) {
+  const wrapped = ((deg % 360) + 360) % 360;
+  return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+// Angle within 180° of a reference angle
+function wrapNear(deg, reference) {
+  return reference + wrap180(deg - reference);
+}
+
+function toChartPosition(longitude) {
+  const absoluteDegree = ((longitude % 360) + 360) % 360;
+  return { ...toZodiacPosition(absoluteDegree), absoluteDegree };
+}
+
+document.addEventListener('event-change', refreshTransitBase);
+document.addEventListener('synastry-change', refreshTransitBase);
+
+console.log('💑 Relationship Charts module loaded');
@@ -0,0 +1,99 @@
+// ============================================
+// RETURN CHARTS
+// Solar and lunar return charts, cast with calculateCurrentChart at the exact return
+// moment for the birth place or a chosen relocation. Return events (return-events.js)
+// open their chart in the sidebar when clicked.
+// ============================================
+
+import { calculateCurrentChart } from './current-chart.js';
+import { displayCurrentChart } from './birth-chart-display.js';
+import { getChartSettings } from './chart-settings.js';
+import { loadLocationSettings, saveLocationSettings, initLocationPicker } from './saved-location.js';
+
+const DEFAULT_RETURN_SETTINGS = {
+  location: null // {name, latitude, longitude}; null = birth place
+};
+
+const RETURN_TITLES = { Sun: 'Solar Return', Moon: 'Lunar Return' };
+
+const returnDateFormatter = new Intl.DateTimeFormat('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * Return chart preferences
+ * @returns {object} {location}
+ */
+export function getReturnSettings() {
+  return loadLocationSettings('returnSettings', DEFAULT_RETURN_SETTINGS);
+}
+
+/**
+ * Save changed return preferences and refresh the calendar
+ * @param {object} changes - e.g. {location: {name, latitude, longitude}}
+ * @returns {object} The full settings after the update
+ */
+export function saveReturnSettings(changes) {
+  return saveLocationSettings('returnSettings', DEFAULT_RETURN_SETTINGS, changes);
+}
+
+/**
+ * Location returns are cast for: the chosen relocation, else the birth place
+ * @param {object} natal - Birth chart
+ * @returns {object|null} {name, latitude, longitude} or null when unknown
+ */
+export function getReturnLocation(natal) {
+  const { location } = getReturnSettings();
+  if (location) return location;
+
+  const metadata = natal && natal.metadata;
+  if (metadata && metadata.latitude != null && metadata.longitude != null) {
+    return { name: 'Birth place', latitude: metadata.latitude, longitude: metadata.longitude };
+  }
+  return null;
+}
+
+/**
+ * Cast a return chart
+ * @param {string} bodyName - 'Sun' (solar return) or 'Moon' (lunar return)
+ * @param {Date} date - Exact return moment
+ * @param {object} location - {name, latitude, longitude}
+ * @returns {Promise<object>} Chart as from calculateCurrentChart, with metadata.returnOf and metadata.locationName
+ */
+export async function calculateReturnChart(bodyName, date, location) {
+  const chart = await calculateCurrentChart(location.latitude, location.longitude, date, getChartSettings());
+  chart.metadata.returnOf = bodyName;
+  chart.metadata.locationName = location.name;
+  return chart;
+}
+
+/**
+ * Open return events in the sidebar and wire up the relocation picker
+ */
+export function initReturnCharts() {
+  document.addEventListener('event-click', async (event) => {
+    const clickedEvent = event.detail.event;
+    const meta = clickedEvent.meta;
+    if (!meta || (meta.type !== 'solar-return' && meta.type !== 'lunar-return') || !meta.location) return;
+
+    try {
+      const chart = await calculateReturnChart(meta.body, new Date(meta.exactTime), meta.location);
+      const when = meta.body === 'Sun' ? String(clickedEvent.date.getFullYear()) : returnDateFormatter.format(clickedEvent.date);
+      displayCurrentChart(chart, `${RETURN_TITLES[meta.body]} ${when}`);
+    } catch (err) {
+      console.error('Failed to calculate return chart:', err);
+    }
+  });
+
+  const container = document.querySelector('[data-return-settings]');
+  if (container) {
+    initLocationPicker(container, 'return', {
+      getLocation: () => getReturnSettings().location,
+      saveLocation: (location) => saveReturnSettings({ location })
+    });
+  }
+}
+
+console.log('🔁 Return Chart module loaded');
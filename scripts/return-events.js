@@ -0,0 +1,94 @@
+// Solar and lunar return events generator
+// Exports findReturns(body, natal, start, end) -> exact moments the transiting Sun / Moon comes back
+// to its natal longitude (found by bisection with findLongitudeCrossings)
+// Exports getReturnEventsForDate(date, natal?) -> timed events for the returns that happen that day;
+// clicking one opens the return chart in the sidebar (see return-chart.js)
+
+import { PLANET_SYMBOLS } from './astrology-core.js';
+import { findLongitudeCrossings } from './ephemeris.js';
+import { loadNatalChart, getTransitSettings } from './transit-events.js';
+import { getReturnLocation } from './return-chart.js';
+
+const RETURN_BODIES = ['Sun', 'Moon'];
+
+const RETURN_NAMES = { Sun: 'Solar return', Moon: 'Lunar return' };
+
+const RETURN_COLORS = {
+  Sun: '#ca8a04', // gold
+  Moon: '#6366f1' // indigo
+};
+
+// Length of the timed block drawn at the exact moment in week/day columns (minutes)
+const RETURN_EVENT_DURATION = 60;
+
+/**
+ * Find the exact moments a body returns to its natal longitude
+ * Positions are measured in the natal chart's zodiac; with a topocentric natal Moon the
+ * returning Moon is topocentric too, seen from the return location.
+ * @param {string} bodyName - 'Sun' or 'Moon'
+ * @param {object} natal - Birth chart
+ * @param {Date} startDate - Start of the search range
+ * @param {Date} endDate - End of the search range
+ * @param {object} location - Return location {latitude, longitude}; defaults to getReturnLocation(natal)
+ * @returns {Array<object>} [{body, date}] sorted by date
+ */
+export function findReturns(bodyName, natal, startDate, endDate, location = getReturnLocation(natal)) {
+  const natalData = natal[bodyName.toLowerCase()];
+  if (!natalData || natalData.absoluteDegree == null) return [];
+
+  // Neither body moves retrograde, so every crossing is a return
+  return findLongitudeCrossings(bodyName, [natalData.absoluteDegree], startDate, endDate, getTransitSettings(natal, location))
+    .map((crossing) => ({ body: bodyName, date: crossing.date }));
+}
+
+/**
+ * Calculate solar and lunar return events for a given calendarDate (local date).
+ *
+ * Events are shaped as in getTransitEventsForDate (transit-events.js): timed, an hour
+ * from the exact return, with
+ *   id: 'solar-return-YYYYMMDD' | 'lunar-return-YYYYMMDD',
+ *   title: '☉ Solar return',
+ *   meta: { type: 'solar-return'|'lunar-return', body, exactTime, location, summary }
+ * natal defaults to the stored birth chart.
+ */
+export function getReturnEventsForDate(calendarDate, natal = loadNatalChart({ transitBase: false })) {
+  if (!natal) return [];
+
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+
+  // Returns only count after birth
+  if (natal.metadata && natal.metadata.utcDateTime && dayEnd <= new Date(natal.metadata.utcDateTime)) return [];
+
+  const location = getReturnLocation(natal);
+  const events = [];
+
+  for (const body of RETURN_BODIES) {
+    for (const found of findReturns(body, natal, dayStart, dayEnd, location)) {
+      const type = body === 'Sun' ? 'solar-return' : 'lunar-return';
+      const startTime = Math.floor((found.date.getTime() - dayStart.getTime()) / 60000);
+
+      events.push({
+        id: `${type}-${idDate}`,
+        title: `${PLANET_SYMBOLS[body.toLowerCase()]} ${RETURN_NAMES[body]}`,
+        date: found.date,
+        startTime,
+        endTime: Math.min(1440, startTime + RETURN_EVENT_DURATION),
+        color: RETURN_COLORS[body],
+        meta: {
+          type,
+          body,
+          exactTime: found.date.toISOString(),
+          location,
+          summary: `Return chart for ${location ? location.name : 'the birth place'} shown in the sidebar`
+        }
+      });
+    }
+  }
+
+  return events;
+}
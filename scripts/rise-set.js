@@ -0,0 +1,193 @@
+// ============================================
+// SUN & MOON RISE / SET
+// Rise, set and meridian transit times for the saved location (or a chosen one),
+// shown in the day view header, the day-dropdown panel header and as optional
+// markers in week columns
+// ============================================
+
+import { PLANET_SYMBOLS } from './astrology-core.js';
+import { findRiseSetTimes, findMeridianTransits } from './ephemeris.js';
+import { getProfileLocation } from './planetary-hours.js';
+import { loadLocationSettings, saveLocationSettings, initLocationPicker } from './saved-location.js';
+
+const RISE_SET_BODIES = ['Sun', 'Moon'];
+
+const RISE_SET_LABELS = {
+  Sun: { rise: 'Sunrise', transit: 'Solar noon', set: 'Sunset' },
+  Moon: { rise: 'Moonrise', transit: 'Moon culminates', set: 'Moonset' }
+};
+
+const RISE_SET_ARROWS = { rise: '↑', transit: '⊤', set: '↓' };
+
+const DEFAULT_RISE_SET_SETTINGS = {
+  location: null,    // {name, latitude, longitude}; null = profile location
+  showMarkers: false // timed markers in week/day columns
+};
+
+const riseSetTimeFormatter = new Intl.DateTimeFormat('en-us', {
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+/**
+ * Rise/set display preferences
+ * @returns {object} {location, showMarkers}
+ */
+export function getRiseSetSettings() {
+  return loadLocationSettings('riseSetSettings', DEFAULT_RISE_SET_SETTINGS);
+}
+
+/**
+ * Save changed rise/set preferences and refresh the calendar
+ * @param {object} changes - e.g. {showMarkers: true}
+ * @returns {object} The full settings after the update
+ */
+export function saveRiseSetSettings(changes) {
+  return saveLocationSettings('riseSetSettings', DEFAULT_RISE_SET_SETTINGS, changes);
+}
+
+/**
+ * Location used for rise/set times: the chosen location, else the profile location
+ * @returns {object|null} {name, latitude, longitude} or null when unknown
+ */
+export function getRiseSetLocation() {
+  const { location } = getRiseSetSettings();
+  if (location) return location;
+
+  const profileLocation = getProfileLocation();
+  return profileLocation ? { name: 'Saved location', ...profileLocation } : null;
+}
+
+/**
+ * Rise, meridian transit and set times of the Sun and Moon on a local calendar day
+ * A time is null when it does not happen that day (the Moon skips one rise or set
+ * about once a month; polar day/night skips the Sun's).
+ * @param {Date} calendarDate - Local date
+ * @param {object} location - Optional {latitude, longitude}; defaults to getRiseSetLocation()
+ * @returns {object|null} {location, sun: {rise, transit, set}, moon: {rise, transit, set}}
+ */
+export function getRiseSetTimesForDate(calendarDate, location = getRiseSetLocation()) {
+  if (!location) return null;
+
+  const dayStart = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate());
+  const dayEnd = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate() + 1);
+  const times = { location };
+
+  for (const body of RISE_SET_BODIES) {
+    const events = [
+      ...findRiseSetTimes(body, dayStart, dayEnd, location.latitude, location.longitude),
+      ...findMeridianTransits(body, dayStart, dayEnd, location.latitude, location.longitude)
+    ];
+    const firstOfType = (type) => {
+      const event = events.find((e) => e.type === type);
+      return event ? event.date : null;
+    };
+
+    times[body.toLowerCase()] = {
+      rise: firstOfType('rise'),
+      transit: firstOfType('transit'),
+      set: firstOfType('set')
+    };
+  }
+
+  return times;
+}
+
+/**
+ * Build the rise/set summary for a day
+ * Full: one row per body with rise, transit and set; compact: rise and set on one line.
+ * @param {Date} calendarDate - Local date
+ * @param {boolean} compact - Single line for tight headers
+ * @returns {HTMLElement|null} null when no location is known
+ */
+export function createRiseSetElement(calendarDate, compact = false) {
+  const times = getRiseSetTimesForDate(calendarDate);
+  if (!times) return null;
+
+  const element = document.createElement('div');
+  element.className = 'rise-set';
+  element.classList.toggle('rise-set--compact', compact);
+  element.title = `Rise and set times for ${times.location.name || 'the saved location'}`;
+
+  for (const body of RISE_SET_BODIES) {
+    const bodyTimes = times[body.toLowerCase()];
+    const rowElement = document.createElement('span');
+    rowElement.className = 'rise-set__row';
+
+    const symbolElement = document.createElement('span');
+    symbolElement.className = 'rise-set__symbol';
+    symbolElement.textContent = PLANET_SYMBOLS[body.toLowerCase()];
+    rowElement.appendChild(symbolElement);
+
+    for (const type of compact ? ['rise', 'set'] : ['rise', 'transit', 'set']) {
+      const timeElement = document.createElement('span');
+      timeElement.className = 'rise-set__time';
+      timeElement.title = RISE_SET_LABELS[body][type];
+      timeElement.textContent = `${RISE_SET_ARROWS[type]} ${bodyTimes[type] ? riseSetTimeFormatter.format(bodyTimes[type]) : '—'}`;
+      rowElement.appendChild(timeElement);
+    }
+
+    element.appendChild(rowElement);
+  }
+
+  return element;
+}
+
+/**
+ * Render rise/set markers into a week/day column when enabled
+ * @param {HTMLElement} parent - Week calendar column (position: relative)
+ * @param {Date} calendarDate - Local date of the column
+ */
+export function initRiseSetMarkers(parent, calendarDate) {
+  if (!getRiseSetSettings().showMarkers) return;
+
+  const times = getRiseSetTimesForDate(calendarDate);
+  if (!times) return;
+
+  const dayStart = new Date(calendarDate.getFullYear(), calendarDate.getMonth(), calendarDate.getDate());
+
+  for (const body of RISE_SET_BODIES) {
+    for (const type of ['rise', 'transit', 'set']) {
+      const date = times[body.toLowerCase()][type];
+      if (!date) continue;
+
+      const markerElement = document.createElement('div');
+      markerElement.className = `rise-set-marker rise-set-marker--${body.toLowerCase()}`;
+      markerElement.style.top = `${100 * (date - dayStart) / (24 * 60 * 60 * 1000)}%`;
+      markerElement.title = `${RISE_SET_LABELS[body][type]} ${riseSetTimeFormatter.format(date)}`;
+
+      const labelElement = document.createElement('span');
+      labelElement.className = 'rise-set-marker__label';
+      labelElement.textContent = `${PLANET_SYMBOLS[body.toLowerCase()]}${RISE_SET_ARROWS[type]}`;
+      markerElement.appendChild(labelElement);
+
+      parent.appendChild(markerElement);
+    }
+  }
+}
+
+/**
+ * Wire up the rise/set controls in the sidebar: location picker and marker toggle
+ */
+export function initRiseSetControls() {
+  const container = document.querySelector('[data-rise-set-settings]');
+  if (!container) return;
+
+  const locationInput = container.querySelector('[data-rise-set-location]');
+  const markersCheckbox = container.querySelector('[data-rise-set-markers]');
+
+  initLocationPicker(container, 'rise-set', {
+    getLocation: () => getRiseSetSettings().location,
+    saveLocation: (location) => saveRiseSetSettings({ location }),
+    onRender: () => {
+      locationInput.placeholder = getProfileLocation() ? 'Saved location' : 'Search a location';
+      markersCheckbox.checked = getRiseSetSettings().showMarkers;
+    }
+  });
+
+  markersCheckbox.addEventListener('change', () => {
+    saveRiseSetSettings({ showMarkers: markersCheckbox.checked });
+  });
+}
+
+console.log('🌅 Rise/Set module loaded');
@@ -0,0 +1,89 @@
+// ============================================
+// SAVED LOCATION
+// Preferences that carry a chosen location (rise/set times, return charts): stored
+// as JSON under their own localStorage key, and picked in the sidebar with a
+// LocationSearch input plus a reset button that goes back to the default place.
+// ============================================
+
+/**
+ * Stored preferences merged over their defaults
+ * @param {string} key - localStorage key, e.g. 'returnSettings'
+ * @param {object} defaults - Values used for anything not stored
+ * @returns {object}
+ */
+export function loadLocationSettings(key, defaults) {
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(key)) };
+  } catch (e) {
+    console.warn(`Failed to parse ${key}`, e);
+    return { ...defaults };
+  }
+}
+
+/**
+ * Save changed preferences and refresh the calendar
+ * @param {string} key - localStorage key
+ * @param {object} defaults - As for loadLocationSettings
+ * @param {object} changes - e.g. {location: {name, latitude, longitude}}
+ * @returns {object} The full settings after the update
+ */
+export function saveLocationSettings(key, defaults, changes) {
+  const settings = { ...loadLocationSettings(key, defaults), ...changes };
+  localStorage.setItem(key, JSON.stringify(settings));
+
+  document.dispatchEvent(new CustomEvent('event-change', {
+    bubbles: true
+  }));
+
+  return settings;
+}
+
+/**
+ * Wire up a location picker: the picked place is saved (not only filled in), the
+ * reset button clears it
+ * Markup inside the container, named after the prefix: [data-<prefix>-location] input,
+ * [data-<prefix>-location-suggestions], hidden [data-<prefix>-latitude] and
+ * [data-<prefix>-longitude] inputs, and a [data-<prefix>-location-reset] button.
+ * @param {Element} container
+ * @param {string} prefix - e.g. 'return'
+ * @param {object} options - {getLocation, saveLocation(location|null), onRender} (onRender optional)
+ * @returns {function} Re-renders the picker from getLocation()
+ */
+export function initLocationPicker(container, prefix, { getLocation, saveLocation, onRender }) {
+  const locationInput = container.querySelector(`[data-${prefix}-location]`);
+  const resetButton = container.querySelector(`[data-${prefix}-location-reset]`);
+
+  function render() {
+    const location = getLocation();
+    locationInput.value = location ? location.name : '';
+    resetButton.hidden = !location;
+    if (onRender) onRender();
+  }
+
+  if (window.LocationSearch) {
+    const locationSearch = new window.LocationSearch(
+      locationInput.id,
+      container.querySelector(`[data-${prefix}-location-suggestions]`).id,
+      container.querySelector(`[data-${prefix}-latitude]`).id,
+      container.querySelector(`[data-${prefix}-longitude]`).id
+    );
+
+    // Save the picked location in addition to filling the inputs
+    const selectLocation = locationSearch.selectLocation.bind(locationSearch);
+    locationSearch.selectLocation = (location) => {
+      selectLocation(location);
+      saveLocation({ name: locationInput.value, latitude: location.lat, longitude: location.lon });
+      render();
+    };
+  }
+
+  resetButton.addEventListener('click', () => {
+    saveLocation(null);
+    render();
+  });
+
+  render();
+  return render;
+}
+
+console.log('📍 Saved Location module loaded');
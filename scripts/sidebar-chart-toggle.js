@@ -1,8 +1,13 @@
-// Sidebar toggle: add Birth / Current buttons and handle switching
-// Requires: displayBirthChart, displayCurrentChart, getLastBirthChart and calculateCurrentChart
+// Sidebar toggle: add Birth / Current / Progressed / Solar Arc / Synastry buttons and handle switching
+// Requires: displayBirthChart, displayCurrentChart, getLastBirthChart, calculateCurrentChart,
+// calculateProgressedChart, calculateSolarArcChart and displaySynastry
 
 import { displayBirthChart, displayCurrentChart, getLastBirthChart } from './birth-chart-display.js';
 import { calculateCurrentChart } from './current-chart.js';
+import { calculateProgressedChart } from './progressed-chart.js';
+import { calculateSolarArcChart } from './solar-arc.js';
+import { displaySynastry } from './synastry-display.js';
+import { getChartSettings } from './chart-settings.js';
 
 export function initSidebarChartToggle() {
   const header = document.querySelector('.birth-chart-display__header');
@@ -35,6 +40,27 @@ export function initSidebarChartToggle() {
     currentBtn.textContent = 'Current';
     controls.appendChild(currentBtn);
 
+    const progressedBtn = document.createElement('button');
+    progressedBtn.type = 'button';
+    progressedBtn.className = 'button button--sm';
+    progressedBtn.dataset.chartToggle = 'progressed';
+    progressedBtn.textContent = 'Progressed';
+    controls.appendChild(progressedBtn);
+
+    const solarArcBtn = document.createElement('button');
+    solarArcBtn.type = 'button';
+    solarArcBtn.className = 'button button--sm';
+    solarArcBtn.dataset.chartToggle = 'solar-arc';
+    solarArcBtn.textContent = 'Solar Arc';
+    controls.appendChild(solarArcBtn);
+
+    const synastryBtn = document.createElement('button');
+    synastryBtn.type = 'button';
+    synastryBtn.className = 'button button--sm';
+    synastryBtn.dataset.chartToggle = 'synastry';
+    synastryBtn.textContent = 'Synastry';
+    controls.appendChild(synastryBtn);
+
     // initial active style
     setActive('birth');
 
@@ -70,7 +96,7 @@ export function initSidebarChartToggle() {
       }
 
       try {
-        const currentChart = await calculateCurrentChart(lat, lon, new Date());
+        const currentChart = await calculateCurrentChart(lat, lon, new Date(), getChartSettings());
         displayCurrentChart(currentChart, 'Current Chart');
       } catch (err) {
         console.error('Failed to calculate current chart:', err);
@@ -78,18 +104,59 @@ export function initSidebarChartToggle() {
         if (container) container.innerHTML = '<p class="birth-chart-display__empty">Failed to calculate current chart.</p>';
       }
     });
+
+    progressedBtn.addEventListener('click', async () => {
+      setActive('progressed');
+      const natal = getLastBirthChart();
+      const container = document.querySelector('[data-birth-chart-content]');
+      if (!natal || !natal.metadata?.utcDateTime) {
+        if (container) container.innerHTML = '<p class="birth-chart-display__empty">No birth chart available — create one first to compute its progressions.</p>';
+        return;
+      }
+
+      // Secondary progressions for today, from the birth moment and place
+      try {
+        const progressedChart = await calculateProgressedChart(natal, new Date());
+        displayCurrentChart(progressedChart, 'Progressed Chart');
+      } catch (err) {
+        console.error('Failed to calculate progressed chart:', err);
+        if (container) container.innerHTML = '<p class="birth-chart-display__empty">Failed to calculate progressed chart.</p>';
+      }
+    });
+
+    solarArcBtn.addEventListener('click', async () => {
+      setActive('solar-arc');
+      const natal = getLastBirthChart();
+      const container = document.querySelector('[data-birth-chart-content]');
+      if (!natal || !natal.metadata?.utcDateTime) {
+        if (container) container.innerHTML = '<p class="birth-chart-display__empty">No birth chart available — create one first to compute its solar arc directions.</p>';
+        return;
+      }
+
+      // Natal points directed by today's solar arc
+      try {
+        const directedChart = await calculateSolarArcChart(natal, new Date());
+        displayCurrentChart(directedChart, 'Solar Arc Directions');
+      } catch (err) {
+        console.error('Failed to calculate solar arc directions:', err);
+        if (container) container.innerHTML = '<p class="birth-chart-display__empty">Failed to calculate solar arc directions.</p>';
+      }
+    });
+
+    // Aspects and house overlays between the user's chart and the stored second person's
+    synastryBtn.addEventListener('click', () => {
+      setActive('synastry');
+      displaySynastry(getLastBirthChart());
+    });
   }
 
+  // Switching profiles shows the new person's birth chart
+  document.addEventListener('profile-change', () => setActive('birth'));
+
   function setActive(which) {
-    const b = controls.querySelector('[data-chart-toggle="birth"]');
-    const c = controls.querySelector('[data-chart-toggle="current"]');
-    if (b) {
-      b.classList.toggle('button--secondary', which === 'birth');
-      b.classList.toggle('button--primary', which === 'birth');
-    }
-    if (c) {
-      c.classList.toggle('button--secondary', which === 'current');
-      c.classList.toggle('button--primary', which === 'current');
+    for (const button of controls.querySelectorAll('[data-chart-toggle]')) {
+      button.classList.toggle('button--secondary', button.dataset.chartToggle === which);
+      button.classList.toggle('button--primary', button.dataset.chartToggle === which);
     }
   }
 }
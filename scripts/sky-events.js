@@ -0,0 +1,102 @@
+// Sky events generator
+// Exports getSkyEventsForDate(date) -> timed events for Moon phases and eclipses that day
+// Unlike transit-events.js these do not depend on a birth chart
+
+import { findMoonPhases, findEclipses } from './ephemeris.js';
+import { getChartSettings } from './chart-settings.js';
+
+// Length of the timed block drawn in week/day columns for instantaneous events (minutes)
+const SKY_EVENT_DURATION = 60;
+
+const PHASE_STYLES = {
+  'new': { glyph: '🌑', color: '#1e293b' },            // slate
+  'first-quarter': { glyph: '🌓', color: '#64748b' },  // gray
+  'full': { glyph: '🌕', color: '#ca8a04' },           // gold
+  'last-quarter': { glyph: '🌗', color: '#64748b' }    // gray
+};
+
+const ECLIPSE_STYLES = {
+  solar: { glyph: '🌚', name: 'Solar Eclipse', color: '#b91c1c' }, // red
+  lunar: { glyph: '🌝', name: 'Lunar Eclipse', color: '#9a3412' }  // rust
+};
+
+/**
+ * Calculate Moon phase and eclipse events for a given calendarDate (local date).
+ *
+ * Event format (compatible with rendering):
+ * {
+ *   id: 'sky-YYYYMMDD-full' | 'sky-YYYYMMDD-eclipse-lunar',
+ *   title: '🌕 Full Moon in Scorpio',
+ *   date: Date (exact moment / eclipse peak, local),
+ *   startTime: minutes after local midnight,
+ *   endTime: minutes after local midnight (max 1440),
+ *   color: '#...',
+ *   meta: { type: 'moon-phase'|'eclipse', glyph, phase|eclipse, kind, position, exactTime }
+ * }
+ */
+export function getSkyEventsForDate(calendarDate) {
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+
+  const settings = getChartSettings();
+  const toMinutes = (date) => Math.floor((date.getTime() - dayStart.getTime()) / 60000);
+  const events = [];
+
+  for (const phase of findMoonPhases(dayStart, dayEnd, settings)) {
+    const style = PHASE_STYLES[phase.type];
+    const startTime = toMinutes(phase.date);
+
+    events.push({
+      id: `sky-${idDate}-${phase.type}`,
+      title: `${style.glyph} ${phase.name} in ${phase.sign}`,
+      date: phase.date,
+      startTime,
+      endTime: Math.min(1440, startTime + SKY_EVENT_DURATION),
+      color: style.color,
+      meta: {
+        type: 'moon-phase',
+        glyph: style.glyph,
+        phase: phase.type,
+        position: { sign: phase.sign, degree: phase.degree, absoluteDegree: phase.absoluteDegree },
+        exactTime: phase.date.toISOString()
+      }
+    });
+  }
+
+  for (const eclipse of findEclipses(dayStart, dayEnd, settings)) {
+    const style = ECLIPSE_STYLES[eclipse.type];
+    const peak = toMinutes(eclipse.date);
+
+    // Lunar eclipses span their penumbral contacts; solar peaks get a fixed block
+    const startTime = eclipse.start ? Math.max(0, toMinutes(eclipse.start)) : peak;
+    const endTime = eclipse.end ? Math.min(1440, toMinutes(eclipse.end)) : Math.min(1440, peak + SKY_EVENT_DURATION);
+
+    events.push({
+      id: `sky-${idDate}-eclipse-${eclipse.type}`,
+      title: `${style.glyph} ${capitalize(eclipse.kind)} ${style.name} in ${eclipse.sign}`,
+      date: eclipse.date,
+      startTime,
+      endTime: Math.max(endTime, startTime + 1),
+      color: style.color,
+      meta: {
+        type: 'eclipse',
+        glyph: style.glyph,
+        eclipse: eclipse.type,
+        kind: eclipse.kind,
+        obscuration: eclipse.obscuration,
+        position: { sign: eclipse.sign, degree: eclipse.degree, absoluteDegree: eclipse.absoluteDegree },
+        exactTime: eclipse.date.toISOString()
+      }
+    });
+  }
+
+  return events;
+}
+
+function capitalize(s) {
+  return s ? s[0].toUpperCase() + s.slice(1) : s;
+}
@@ -0,0 +1,182 @@
+// Solar arc direction events generator
+// Exports getSolarArcEventsForDate(date, natal?) -> all-day events for directed planets and angles
+// that aspect a natal point exactly that day
+// Exports getSolarArcPeriods(start, end, natal?) -> the 1° orb windows around those hits, as
+// period bars (same shape as getTransitPeriods in transit-events.js)
+// A directed point X aspects natal point Y when the solar arc equals Y ± aspect - X, so
+// every contact is one arc value; the arc only grows, so each is reached exactly once.
+
+import { PLANETS, POINTS, ANGLES, LOTS } from './astrology-core.js';
+import { calculateSolarArc, findSolarArcDate } from './solar-arc.js';
+import { aspectColor, scoreTransit, collectAspectTargets, loadNatalChart, pointLabel } from './transit-events.js';
+
+// Directed planets and angles, aspecting every natal point
+const DIRECTED_BODIES = [...PLANETS, ...ANGLES];
+const NATAL_TARGETS = [...PLANETS, ...POINTS, ...LOTS, ...ANGLES];
+
+// Solar arc directions count within 1° (about a year either side of exact)
+export const SOLAR_ARC_ORB = 1;
+
+const exactDateFormatter = new Intl.DateTimeFormat('en-US', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Calculate solar arc events for a given calendarDate (local date).
+ *
+ * Events are shaped as in getTransitEventsForDate (transit-events.js), all-day, with
+ *   id: 'solar-arc-YYYYMMDD-mars-sun-Square',
+ *   title: 'Solar arc ♂ Mars □ natal ☉ Sun',
+ *   meta: { type: 'solar-arc', directedPlanet, natalPlanet, aspect, symbol, arc, orb, applying, exactTime, orbWindow, score, summary }
+ * orb and applying are taken at local midday, as for transits.
+ * natal defaults to the stored birth chart.
+ */
+export function getSolarArcEventsForDate(calendarDate, natal = loadNatalChart({ transitBase: false })) {
+  if (!natal || !natal.metadata || !natal.metadata.utcDateTime) return [];
+
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+
+  if (dayStart < new Date(natal.metadata.utcDateTime)) return [];
+
+  const arcStart = calculateSolarArc(natal, dayStart);
+  const arcEnd = calculateSolarArc(natal, dayEnd);
+  const arcMidday = calculateSolarArc(natal, new Date(y, m, d, 12, 0, 0));
+  if (arcStart == null || arcEnd == null || arcMidday == null) return [];
+
+  return collectDirections(natal)
+    .filter((direction) => direction.arc >= arcStart && direction.arc < arcEnd)
+    .flatMap((direction) => {
+      const exactDate = findSolarArcDate(natal, direction.arc);
+      if (!exactDate) return []; // beyond the searched lifetime
+      const orbWindow = findOrbWindow(natal, direction);
+
+      return [{
+        id: `solar-arc-${idDate}-${direction.directedKey}-${direction.natalKey}-${direction.aspect.name}`,
+        title: directionTitle(direction),
+        date: exactDate,
+        startTime: 0,
+        endTime: 1440,
+        color: aspectColor(direction.aspect.name),
+        meta: {
+          type: 'solar-arc',
+          directedPlanet: direction.directedKey,
+          natalPlanet: direction.natalKey,
+          aspect: direction.aspect.name,
+          symbol: direction.aspect.symbol,
+          arc: direction.arc,
+          orb: parseFloat(Math.abs(arcMidday - direction.arc).toFixed(4)),
+          applying: arcMidday < direction.arc,
+          exactTime: exactDate.toISOString(),
+          orbWindow: {
+            start: orbWindow.start ? orbWindow.start.toISOString() : null,
+            end: orbWindow.end ? orbWindow.end.toISOString() : null,
+            maxOrb: SOLAR_ARC_ORB
+          },
+          score: scoreDirection(direction, arcMidday),
+          summary: `Solar arc ${direction.arc.toFixed(2)}° · within ${SOLAR_ARC_ORB}° ${formatDate(orbWindow.start)} – ${formatDate(orbWindow.end)}`
+        }
+      }];
+    })
+    .sort((a, b) => b.meta.score - a.meta.score);
+}
+
+/**
+ * Solar arc orb windows overlapping a date range, as period bars
+ * Period format as in getTransitPeriods; sorted by score (highest first).
+ * orb and applying are taken midway through the part of the window inside the range.
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {object} natal - Birth chart (defaults to the stored one)
+ */
+export function getSolarArcPeriods(start, end, natal = loadNatalChart({ transitBase: false })) {
+  if (!natal || !natal.metadata || !natal.metadata.utcDateTime) return [];
+  if (end <= new Date(natal.metadata.utcDateTime)) return [];
+
+  const arcStart = calculateSolarArc(natal, start);
+  const arcEnd = calculateSolarArc(natal, end);
+  if (arcStart == null || arcEnd == null) return [];
+
+  return collectDirections(natal)
+    .filter((direction) => direction.arc + SOLAR_ARC_ORB > arcStart && direction.arc - SOLAR_ARC_ORB < arcEnd)
+    .map((direction) => {
+      const exactDate = findSolarArcDate(natal, direction.arc);
+      const orbWindow = findOrbWindow(natal, direction);
+
+      const visibleStart = Math.max(start.getTime(), orbWindow.start ? orbWindow.start.getTime() : -Infinity);
+      const visibleEnd = Math.min(end.getTime(), orbWindow.end ? orbWindow.end.getTime() : Infinity);
+      const sampleArc = calculateSolarArc(natal, new Date((visibleStart + visibleEnd) / 2)) ?? direction.arc;
+
+      return {
+        id: `solar-arc-period-${direction.directedKey}-${direction.natalKey}-${direction.aspect.name}`,
+        title: directionTitle(direction),
+        color: aspectColor(direction.aspect.name),
+        start: orbWindow.start,
+        end: orbWindow.end,
+        exactHits: exactDate ? [{ date: exactDate, retrograde: false }] : [],
+        meta: {
+          type: 'solar-arc',
+          directedPlanet: direction.directedKey,
+          natalPlanet: direction.natalKey,
+          aspect: direction.aspect.name,
+          symbol: direction.aspect.symbol,
+          maxOrb: SOLAR_ARC_ORB,
+          orb: parseFloat(Math.abs(sampleArc - direction.arc).toFixed(4)),
+          applying: sampleArc < direction.arc,
+          score: scoreDirection(direction, sampleArc)
+        }
+      };
+    })
+    .sort((a, b) => b.meta.score - a.meta.score);
+}
+
+/**
+ * Every directed-to-natal contact, as the (positive) solar arc that perfects it
+ * A point is not directed to its own natal place (all of them would hit at once).
+ */
+function collectDirections(natal) {
+  const targets = collectAspectTargets(natal, NATAL_TARGETS).longitudeTargets;
+  const directions = [];
+
+  for (const directedKey of DIRECTED_BODIES) {
+    const directedData = natal[directedKey];
+    if (!directedData || directedData.absoluteDegree == null) continue;
+
+    for (const { natalKey, natalData, aspect, point } of targets) {
+      if (natalKey === directedKey) continue;
+      const arc = (((point - directedData.absoluteDegree) % 360) + 360) % 360;
+      directions.push({ directedKey, natalKey, natalData, aspect, arc });
+    }
+  }
+
+  return directions;
+}
+
+// Scored like a transit from the directed point, by its orb at a given arc within the
+// SOLAR_ARC_ORB window; the arc only grows, so a direction is applying until it is exact
+function scoreDirection({ directedKey, natalKey, natalData, aspect, arc }, currentArc) {
+  const orb = Math.abs(currentArc - arc);
+  return parseFloat(scoreTransit({ ...aspect, maxOrb: SOLAR_ARC_ORB, orb }, directedKey, natalKey, natalData, currentArc < arc).toFixed(4));
+}
+
+// Dates the arc is within SOLAR_ARC_ORB of a direction (from birth for the smallest arcs; end null when out of reach)
+function findOrbWindow(natal, direction) {
+  return {
+    start: direction.arc > SOLAR_ARC_ORB ? findSolarArcDate(natal, direction.arc - SOLAR_ARC_ORB) : new Date(natal.metadata.utcDateTime),
+    end: findSolarArcDate(natal, direction.arc + SOLAR_ARC_ORB)
+  };
+}
+
+function directionTitle({ directedKey, natalKey, aspect }) {
+  return `Solar arc ${pointLabel(directedKey)} ${aspect.symbol} natal ${pointLabel(natalKey)}`;
+}
+
+function formatDate(date) {
+  return date ? exactDateFormatter.format(date) : '—';
+}
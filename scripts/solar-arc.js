@@ -0,0 +1,105 @@
+// ============================================
+// SOLAR ARC DIRECTIONS
+// Every natal point advances by the solar arc: the distance the progressed Sun
+// (see progressed-chart.js) has moved from the natal Sun, about 1° per year of life.
+// The arc only grows, so the date a given arc is reached is found by bisection.
+// ============================================
+
+import { initAstronomy, calculatePlanetPosition } from './ephemeris.js';
+import { PLANETS, POINTS, ANGLES, LOTS, toZodiacPosition, bisectTime } from './astrology-core.js';
+import { getProgressedDate } from './progressed-chart.js';
+
+// Directions are searched up to this age
+const MAX_DIRECTION_YEARS = 120;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Natal points carried along by the arc
+export const DIRECTED_POINTS = [...PLANETS, ...POINTS, ...LOTS, ...ANGLES];
+
+/**
+ * Solar arc for a real date: progressed Sun minus natal Sun (in the natal chart's zodiac)
+ * @param {object} natal - Birth chart (metadata.utcDateTime is the birth moment)
+ * @param {Date} date - Real date
+ * @returns {number|null} Arc in degrees (0 at birth, negative before it)
+ */
+export function calculateSolarArc(natal, date) {
+  const settings = { zodiac: natal.zodiac, ayanamsa: natal.ayanamsa };
+  const natalSun = calculatePlanetPosition('Sun', new Date(natal.metadata.utcDateTime), settings);
+  const progressedSun = calculatePlanetPosition('Sun', getProgressedDate(natal, date), settings);
+  if (!natalSun || !progressedSun) return null;
+
+  // Wrapped across 0° Aries; the progressed Sun moves far less than 180° in a lifetime
+  return ((progressedSun.absoluteDegree - natalSun.absoluteDegree + 540) % 360) - 180;
+}
+
+/**
+ * Real date at which the solar arc reaches a value
+ * @param {object} natal - Birth chart
+ * @param {number} arc - Arc in degrees (> 0)
+ * @returns {Date|null} null when not reached within MAX_DIRECTION_YEARS of birth
+ */
+export function findSolarArcDate(natal, arc) {
+  const birthMs = new Date(natal.metadata.utcDateTime).getTime();
+  const lastMs = birthMs + MAX_DIRECTION_YEARS * YEAR_MS;
+  if (arc <= 0 || calculateSolarArc(natal, new Date(lastMs)) < arc) return null;
+
+  return new Date(bisectTime((ms) => calculateSolarArc(natal, new Date(ms)) >= arc ? 1 : -1, birthMs, lastMs));
+}
+
+/**
+ * Directed longitude of a natal point for a given arc
+ * @param {object} natal - Birth chart
+ * @param {string} key - Natal point key (as in DIRECTED_POINTS)
+ * @param {number} arc - Solar arc in degrees
+ * @returns {number|null} Longitude in degrees (0-360)
+ */
+export function directLongitude(natal, key, arc) {
+  const natalData = natal[key];
+  if (!natalData || natalData.absoluteDegree == null) return null;
+  return ((natalData.absoluteDegree + arc) % 360 + 360) % 360;
+}
+
+/**
+ * Calculate the solar arc directed chart of a birth chart for a real date.
+ * Returns an object shaped like the calculateBirthChart() output: every natal point
+ * and house cusp advanced by the arc (so planets keep their natal house numbers),
+ * with metadata.solarArc in degrees.
+ * @param {object} natal - Birth chart
+ * @param {Date} date - Real date (defaults to now)
+ */
+export async function calculateSolarArcChart(natal, date = new Date()) {
+  await initAstronomy();
+
+  const arc = calculateSolarArc(natal, date);
+  if (arc == null) throw new Error('Failed to calculate the solar arc');
+
+  const chart = {
+    metadata: {
+      forDate: date.toISOString(),
+      solarArc: arc,
+      latitude: natal.metadata.latitude,
+      longitude: natal.metadata.longitude,
+      calculatedAt: new Date().toISOString()
+    },
+    zodiac: natal.zodiac,
+    ayanamsa: natal.ayanamsa,
+    ayanamsaDegrees: natal.ayanamsaDegrees,
+    houseSystem: natal.houseSystem,
+    houses: (natal.houses || []).map((house) => toDirectedPosition(house.absoluteDegree + arc))
+  };
+
+  for (const key of DIRECTED_POINTS) {
+    const longitude = directLongitude(natal, key, arc);
+    if (longitude == null) continue;
+    chart[key] = { ...toDirectedPosition(longitude), house: natal[key].house };
+  }
+
+  return chart;
+}
+
+function toDirectedPosition(longitude) {
+  const absoluteDegree = ((longitude % 360) + 360) % 360;
+  return { ...toZodiacPosition(absoluteDegree), absoluteDegree };
+}
+
+console.log('🏹 Solar Arc module loaded');
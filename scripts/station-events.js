@@ -0,0 +1,66 @@
+// Station events generator
+// Exports getStationEventsForDate(date) -> timed events for planets stationing retrograde/direct that day
+// Uses findStations from ephemeris.js (exact moment found by bisection on daily speed)
+
+import { PLANET_SYMBOLS } from './astrology-core.js';
+import { findStations } from './ephemeris.js';
+import { getChartSettings } from './chart-settings.js';
+
+// Sun and Moon never station
+const STATION_PLANETS = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+
+// Length of the timed block drawn in week/day columns (minutes)
+const STATION_EVENT_DURATION = 60;
+
+/**
+ * Calculate station events for a given calendarDate (local date).
+ *
+ * Event format (compatible with rendering):
+ * {
+ *   id: 'station-YYYYMMDD-mercury-retrograde',
+ *   title: '☿ Mercury stations retrograde ℞',
+ *   date: Date (exact station moment, local),
+ *   startTime: minutes after local midnight,
+ *   endTime: startTime + 60 (max 1440),
+ *   color: '#...',
+ *   meta: { type: 'station', planet, station, position, exactTime }
+ * }
+ */
+export function getStationEventsForDate(calendarDate) {
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+
+  const settings = getChartSettings();
+  const events = [];
+
+  for (const planet of STATION_PLANETS) {
+    const stations = findStations(planet, dayStart, dayEnd, settings);
+
+    for (const station of stations) {
+      const key = planet.toLowerCase();
+      const startTime = Math.floor((station.date.getTime() - dayStart.getTime()) / 60000);
+      const label = station.type === 'retrograde' ? 'retrograde ℞' : 'direct';
+
+      events.push({
+        id: `station-${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}-${key}-${station.type}`,
+        title: `${PLANET_SYMBOLS[key] || ''} ${planet} stations ${label}`,
+        date: station.date,
+        startTime,
+        endTime: Math.min(1440, startTime + STATION_EVENT_DURATION),
+        color: station.type === 'retrograde' ? '#db2777' : '#0d9488', // pink / teal
+        meta: {
+          type: 'station',
+          planet: key,
+          station: station.type,
+          position: { sign: station.sign, degree: station.degree, absoluteDegree: station.absoluteDegree },
+          exactTime: station.date.toISOString()
+        }
+      });
+    }
+  }
+
+  return events;
+}
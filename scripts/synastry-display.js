@@ -0,0 +1,303 @@
+// ============================================
+// SYNASTRY DISPLAY
+// Shows the synastry between the user's birth chart and a second person's in the
+// sidebar, and the dialog to enter or change that second person.
+// Also opens their composite and Davison charts and picks the chart transits follow.
+// ============================================
+
+import { PLANET_SYMBOLS, ZODIAC_SYMBOLS, POINT_NAMES } from './astrology-core.js';
+import { aspectColor } from './transit-events.js';
+import { getChartSettings } from './chart-settings.js';
+import { displayCurrentChart } from './birth-chart-display.js';
+import { loadPartnerData, savePartner, removePartner, calculateSynastryAspects, calculateHouseOverlay } from './synastry.js';
+import { calculateRelationshipChart, getRelationshipTitle, getTransitBase, setTransitBase } from './relationship-charts.js';
+
+const ANGLE_NAMES = { ascendant: 'Ascendant', midheaven: 'Midheaven' };
+
+/**
+ * Display the synastry of a birth chart with the stored second person in the sidebar
+ * @param {object} chart - The user's birth chart
+ */
+export function displaySynastry(chart) {
+  const container = document.querySelector('[data-birth-chart-content]');
+  const headerTitleElement = document.querySelector('.birth-chart-display__title');
+
+  if (headerTitleElement) {
+    headerTitleElement.textContent = 'Synastry';
+  }
+
+  if (!container) {
+    console.error('❌ Birth chart display container not found');
+    return;
+  }
+
+  if (!chart || !chart.sun) {
+    container.innerHTML = '<p class="birth-chart-display__empty">No birth chart available — create one first to compare it with another person.</p>';
+    return;
+  }
+
+  const partner = loadPartnerData();
+  if (!partner || !partner.birthChart) {
+    container.innerHTML = `
+      <p class="birth-chart-display__empty">Add a second person to see how your charts interact.</p>
+      <div class="synastry__actions">
+        <button type="button" class="button button--sm button--primary" data-synastry-edit>Add person</button>
+      </div>
+    `;
+    bindActions(container, chart);
+    return;
+  }
+
+  const userName = getUserName();
+  const partnerName = partner.name || 'Partner';
+  const aspects = calculateSynastryAspects(chart, partner.birthChart);
+
+  let html = `
+    <div class="synastry__actions">
+      <span class="synastry__partner">${escapeHtml(userName)} &amp; ${escapeHtml(partnerName)}</span>
+      <button type="button" class="button button--sm" data-synastry-edit>Change</button>
+      <button type="button" class="button button--sm" data-synastry-remove>Remove</button>
+    </div>
+    <div class="synastry__actions">
+      <button type="button" class="button button--sm" data-relationship-chart="composite">Composite</button>
+      <button type="button" class="button button--sm" data-relationship-chart="davison">Davison</button>
+    </div>
+    <label class="chart-settings__field synastry__transit-base">
+      <span class="chart-settings__label">Transits</span>
+      <div class="select select--fill">
+        <select class="select__select" data-transit-base>
+          <option value="natal">To ${escapeHtml(userName)}'s chart</option>
+          <option value="composite">To the composite chart</option>
+          <option value="davison">To the Davison chart</option>
+        </select>
+        <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="select__icon"><path d="m6 9 6 6 6-6"/></svg>
+      </div>
+    </label>
+  `;
+
+  html += '<h4 class="synastry__heading">Aspects</h4>';
+  if (aspects.length) {
+    html += '<ul class="birth-chart-list synastry-aspects">';
+    for (const aspect of aspects) {
+      html += `
+        <li class="birth-chart-list__item synastry-aspects__item" title="${escapeHtml(userName)}'s ${pointName(aspect.pointA)} ${aspect.type.toLowerCase()} ${escapeHtml(partnerName)}'s ${pointName(aspect.pointB)}">
+          <span class="birth-chart-list__symbol" style="color: ${aspectColor(aspect.type)}">${aspect.symbol}</span>
+          <span class="birth-chart-list__name">${pointLabel(aspect.pointA)} ${aspect.symbol} ${pointLabel(aspect.pointB)}</span>
+          <span class="birth-chart-list__position">${aspect.orb.toFixed(2)}°</span>
+          <span class="birth-chart-list__house synastry-aspects__score">${Math.round(aspect.score * 100)}</span>
+        </li>
+      `;
+    }
+    html += '</ul>';
+  } else {
+    html += '<p class="birth-chart-display__empty">No aspects between the two charts</p>';
+  }
+
+  html += `<h4 class="synastry__heading">${escapeHtml(userName)}'s planets in ${escapeHtml(partnerName)}'s houses</h4>`;
+  html += renderOverlay(calculateHouseOverlay(chart, partner.birthChart));
+  html += `<h4 class="synastry__heading">${escapeHtml(partnerName)}'s planets in ${escapeHtml(userName)}'s houses</h4>`;
+  html += renderOverlay(calculateHouseOverlay(partner.birthChart, chart));
+
+  container.innerHTML = html;
+  bindActions(container, chart);
+  console.log('✨ Synastry displayed in sidebar');
+}
+
+function renderOverlay(overlay) {
+  if (!overlay.length) {
+    return '<p class="birth-chart-display__empty">No house cusps available</p>';
+  }
+
+  let html = '<ul class="birth-chart-list">';
+  for (const { point, position, house } of overlay) {
+    const retrogradeText = position.retrograde ? '<span class="birth-chart-list__retrograde" title="Retrograde">℞</span>' : '';
+    html += `
+      <li class="birth-chart-list__item">
+        <span class="birth-chart-list__symbol" title="${pointName(point)}">${PLANET_SYMBOLS[point]}</span>
+        <span class="birth-chart-list__name">${pointName(point)}</span>
+        <span class="birth-chart-list__position">${position.degree}° ${position.sign}${retrogradeText}</span>
+        <span class="birth-chart-list__house">${house}${getOrdinalSuffix(house)}</span>
+        <span class="birth-chart-list__zodiac">${ZODIAC_SYMBOLS[position.sign] || ''}</span>
+      </li>
+    `;
+  }
+  html += '</ul>';
+  return html;
+}
+
+function bindActions(container, chart) {
+  container.querySelector('[data-synastry-edit]')?.addEventListener('click', () => {
+    showPartnerDialog(chart);
+  });
+
+  container.querySelector('[data-synastry-remove]')?.addEventListener('click', () => {
+    removePartner();
+    displaySynastry(chart);
+  });
+
+  for (const button of container.querySelectorAll('[data-relationship-chart]')) {
+    button.addEventListener('click', async () => {
+      const type = button.dataset.relationshipChart;
+      try {
+        const relationshipChart = await calculateRelationshipChart(type);
+        if (relationshipChart) displayCurrentChart(relationshipChart, getRelationshipTitle(type));
+      } catch (error) {
+        console.error(`Failed to calculate ${type} chart:`, error);
+        container.innerHTML = `<p class="birth-chart-display__empty">Failed to calculate the ${type} chart.</p>`;
+      }
+    });
+  }
+
+  const transitBaseSelect = container.querySelector('[data-transit-base]');
+  if (transitBaseSelect) {
+    transitBaseSelect.value = getTransitBase();
+    transitBaseSelect.addEventListener('change', async () => {
+      try {
+        await setTransitBase(transitBaseSelect.value);
+      } catch (error) {
+        console.error('Failed to change the transit base chart:', error);
+        transitBaseSelect.value = getTransitBase();
+      }
+    });
+  }
+}
+
+// Dialog to enter the second person (created dynamically, like the registration dialog)
+function showPartnerDialog(chart) {
+  if (document.getElementById('partner-dialog')) return;
+
+  const partner = loadPartnerData() || {};
+
+  const dialog = document.createElement('dialog');
+  dialog.id = 'partner-dialog';
+  dialog.innerHTML = `
+    <form id="partner-form" method="dialog" class="user-registration-form">
+      <h3>Second person</h3>
+
+      <label>
+        Name
+        <input id="partner-name" name="name" type="text" required />
+      </label>
+
+      <label>
+        Birthday
+        <input id="partner-birthday" name="birthday" type="date" required />
+      </label>
+
+      <label>
+        Birth time
+        <input id="partner-birth-time" name="birthTime" type="time" required />
+      </label>
+
+      <label>
+        Birth place
+        <input
+          id="partner-birth-place"
+          name="birthPlace"
+          type="text"
+          placeholder="Start typing a city..."
+          autocomplete="off"
+          required />
+        <div id="partner-location-suggestions" class="location-suggestions"></div>
+      </label>
+
+      <input type="hidden" id="partner-birth-lat" name="birthLat">
+      <input type="hidden" id="partner-birth-lon" name="birthLon">
+
+      <menu>
+        <button type="button" value="cancel" id="partner-cancel">Cancel</button>
+        <button type="submit">Save</button>
+      </menu>
+    </form>
+  `;
+
+  document.body.appendChild(dialog);
+
+  document.getElementById('partner-name').value = partner.name || '';
+  document.getElementById('partner-birthday').value = partner.birthday || '';
+  document.getElementById('partner-birth-time').value = partner.birthTime || '';
+  document.getElementById('partner-birth-place').value = partner.birthPlace || '';
+  document.getElementById('partner-birth-lat').value = partner.birthLat ?? '';
+  document.getElementById('partner-birth-lon').value = partner.birthLon ?? '';
+
+  function closeDialog() {
+    dialog.close();
+    dialog.remove();
+  }
+
+  document.getElementById('partner-form').addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const formData = {
+      name: document.getElementById('partner-name').value,
+      birthday: document.getElementById('partner-birthday').value,
+      birthTime: document.getElementById('partner-birth-time').value,
+      birthPlace: document.getElementById('partner-birth-place').value,
+      birthLat: parseFloat(document.getElementById('partner-birth-lat').value),
+      birthLon: parseFloat(document.getElementById('partner-birth-lon').value)
+    };
+
+    // Validate that location was selected
+    if (isNaN(formData.birthLat) || isNaN(formData.birthLon)) {
+      alert('Please select a location from the dropdown suggestions.');
+      return;
+    }
+
+    try {
+      await savePartner(formData, getChartSettings());
+      closeDialog();
+      displaySynastry(chart);
+    } catch (error) {
+      console.error('❌ Error calculating partner chart:', error);
+      alert('Error calculating the birth chart. Please check the birth data and try again.');
+    }
+  });
+
+  document.getElementById('partner-cancel').addEventListener('click', closeDialog);
+
+  if (window.LocationSearch) {
+    new window.LocationSearch(
+      'partner-birth-place',
+      'partner-location-suggestions',
+      'partner-birth-lat',
+      'partner-birth-lon'
+    );
+  }
+
+  try {
+    dialog.showModal();
+  } catch (e) {
+    dialog.setAttribute('open', '');
+  }
+}
+
+function getUserName() {
+  try {
+    return JSON.parse(localStorage.getItem('userRegistrationData'))?.name || 'You';
+  } catch (e) {
+    return 'You';
+  }
+}
+
+function pointName(key) {
+  return ANGLE_NAMES[key] || POINT_NAMES[key] || key[0].toUpperCase() + key.slice(1);
+}
+
+function pointLabel(key) {
+  if (ANGLE_NAMES[key]) return ANGLE_NAMES[key];
+  return `${PLANET_SYMBOLS[key] || ''} ${pointName(key)}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function getOrdinalSuffix(num) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = num % 100;
+  return s[(v - 20) % 10] || s[v] || s[0];
+}
+
+console.log('💞 Synastry Display module loaded');
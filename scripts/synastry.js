@@ -0,0 +1,164 @@
+// ============================================
+// SYNASTRY
+// A second person's birth chart (stored as partnerData, calculated with the same
+// calculateBirthChart pipeline as the user's), the aspects between the two charts and
+// each person's planets in the other's houses.
+// Aspects use the transit aspect definitions and are ranked with the transit scoring model.
+// ============================================
+
+import { calculateBirthChart } from './birth-chart.js';
+import { PLANETS, POINTS, ANGLES } from './astrology-core.js';
+import { ASPECTS, DECLINATION_ASPECTS, scoreTransit } from './transit-events.js';
+import { getPlanetHouse } from './current-chart.js';
+
+// Points compared across the two charts (Part of Fortune is left out, as in calculateAspects)
+const SYNASTRY_POINTS = [...PLANETS, ...POINTS, ...ANGLES];
+
+// Points placed in the other person's houses
+const OVERLAY_POINTS = [...PLANETS, ...POINTS];
+
+/**
+ * Stored second person: {name, birthday, birthTime, birthPlace, birthLat, birthLon, birthChart}
+ * @returns {object|null}
+ */
+export function loadPartnerData() {
+  try {
+    const raw = localStorage.getItem('partnerData');
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('Failed to parse partnerData from localStorage', e);
+    return null;
+  }
+}
+
+/**
+ * Calculate and store the second person's birth chart
+ * @param {object} partner - {name, birthday, birthTime, birthPlace, birthLat, birthLon}
+ * @param {object} settings - Chart settings (house system, zodiac) to calculate with
+ * @param {number|null} timezoneOffset - Known offset in hours; null estimates it from the place
+ * @returns {Promise<object>} The stored partner data, birthChart included
+ */
+export async function savePartner(partner, settings, timezoneOffset = null) {
+  const birthChart = await calculateBirthChart(
+    partner.birthday,
+    partner.birthTime,
+    partner.birthLat,
+    partner.birthLon,
+    timezoneOffset,
+    settings
+  );
+
+  const partnerData = { ...partner, birthChart };
+  localStorage.setItem('partnerData', JSON.stringify(partnerData));
+  console.log('💾 Partner chart saved to localStorage');
+
+  document.dispatchEvent(new CustomEvent('synastry-change', {
+    bubbles: true
+  }));
+
+  return partnerData;
+}
+
+/**
+ * Forget the second person
+ */
+export function removePartner() {
+  localStorage.removeItem('partnerData');
+
+  document.dispatchEvent(new CustomEvent('synastry-change', {
+    bubbles: true
+  }));
+}
+
+/**
+ * Aspects between two charts, calculateAspects-style: every point of chartA against every
+ * point of chartB, longitude aspects within the transit orbs plus parallels/contra-parallels.
+ * Scored like transits (chartA's point as the transiting one, chartB's as the natal one)
+ * and sorted by score, highest first.
+ * @param {object} chartA - First chart (e.g. the user's)
+ * @param {object} chartB - Second chart (e.g. the partner's)
+ * @returns {Array<object>} [{pointA, pointB, type, symbol, orb, score}]
+ */
+export function calculateSynastryAspects(chartA, chartB) {
+  const aspects = [];
+
+  for (const pointA of SYNASTRY_POINTS) {
+    const dataA = chartA[pointA];
+    if (!dataA) continue;
+
+    for (const pointB of SYNASTRY_POINTS) {
+      const dataB = chartB[pointB];
+      if (!dataB) continue;
+
+      const angle = calculateAspectAngle(dataA.absoluteDegree, dataB.absoluteDegree);
+      const aspect = ASPECTS.find((candidate) => Math.abs(angle - candidate.target) <= candidate.maxOrb);
+      if (aspect) {
+        aspects.push(createSynastryAspect(pointA, pointB, dataB, aspect, Math.abs(angle - aspect.target)));
+      }
+
+      // Declination aspects (charts saved before declinations were stored have none)
+      if (dataA.declination == null || dataB.declination == null) continue;
+
+      const [parallel, contraParallel] = DECLINATION_ASPECTS;
+      const parallelOrb = Math.abs(dataA.declination - dataB.declination);
+      const contraOrb = Math.abs(dataA.declination + dataB.declination);
+      if (parallelOrb <= parallel.maxOrb && parallelOrb <= contraOrb) {
+        aspects.push(createSynastryAspect(pointA, pointB, dataB, parallel, parallelOrb));
+      } else if (contraOrb <= contraParallel.maxOrb) {
+        aspects.push(createSynastryAspect(pointA, pointB, dataB, contraParallel, contraOrb));
+      }
+    }
+  }
+
+  return aspects.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Where one chart's planets fall in another chart's houses
+ * @param {object} chart - Chart whose planets are placed
+ * @param {object} houseChart - Chart whose house cusps are used
+ * @returns {Array<object>} [{point, position, house}]; empty when houseChart has no houses
+ */
+export function calculateHouseOverlay(chart, houseChart) {
+  if (!Array.isArray(houseChart.houses) || houseChart.houses.length !== 12) return [];
+
+  const cusps = houseChart.houses.map((house) => house.absoluteDegree);
+  return OVERLAY_POINTS
+    .filter((point) => chart[point])
+    .map((point) => ({
+      point,
+      position: chart[point],
+      house: getPlanetHouse(chart[point].absoluteDegree, cusps)
+    }));
+}
+
+function createSynastryAspect(pointA, pointB, dataB, aspect, orb) {
+  return {
+    pointA,
+    pointB,
+    type: aspect.name,
+    symbol: aspect.symbol,
+    orb,
+    score: parseFloat(scoreTransit({ ...aspect, orb }, pointA, pointB, dataB).toFixed(4))
+  };
+}
+
+// Calculate the smallest angle between two positions
+function calculateAspectAngle(deg1, deg2) {
+  const diff = Math.abs(deg1 - deg2) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// Recalculate the partner chart when a calculation setting changes (as the user's is)
+document.addEventListener('chart-settings-change', async (event) => {
+  const partner = loadPartnerData();
+  if (!partner) return;
+
+  try {
+    await savePartner(partner, event.detail.settings, partner.birthChart?.metadata?.timezoneOffset ?? null);
+  } catch (error) {
+    console.error('❌ Error recalculating partner chart:', error);
+  }
+});
+
+console.log('💞 Synastry module loaded');
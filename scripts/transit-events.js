@@ -1,16 +1,23 @@
 // Transit events generator with scoring for prioritization
-// Exports getTransitEventsForDate(date) -> returns ALL transit events for that day (scored, descending)
-// Uses Astronomy Engine wrapper calculatePlanetPosition from ephemeris.js
+// Exports getTransitEventsForDate(date, natal?) -> returns ALL transit events for that day (scored, descending)
+// Exports getTransitPeriods(start, end) -> in-orb periods (orb entry, exact hits, orb exit) overlapping a range
+// Each event is the exact moment a transit perfects an aspect to a natal point, found by
+// bisection (findLongitudeCrossings / findDeclinationCrossings in ephemeris.js)
 
-import { PLANET_SYMBOLS } from './astrology-core.js';
-import { calculatePlanetPosition } from './ephemeris.js';
-import { calculateAngle } from './astrology-core.js';
+import { PLANET_SYMBOLS, POINT_NAMES, POINTS, LOTS } from './astrology-core.js';
+import { calculatePlanetPosition, findLongitudeCrossings, findDeclinationCrossings, findOrbWindow, longitudeDistance } from './ephemeris.js';
 
 // Planet keys (lowercase) used consistently
 const PLANETS = ['sun','moon','mercury','venus','mars','jupiter','saturn','uranus','neptune','pluto'];
 
-// Aspect definitions and weights
-const ASPECTS = [
+// Transiting bodies: planets plus nodes, Lilith and Chiron
+const TRANSIT_BODIES = [...PLANETS, ...POINTS];
+
+// Natal targets: the transiting bodies plus lots (Part of Fortune)
+const NATAL_TARGETS = [...TRANSIT_BODIES, ...LOTS];
+
+// Aspect definitions and weights (shared with the mundane layer)
+export const ASPECTS = [
   { name: 'Conjunction', target: 0, maxOrb: 8, symbol: '☌', weight: 1.00 },
   { name: 'Opposition', target: 180, maxOrb: 8, symbol: '☍', weight: 0.95 },
   { name: 'Trine', target: 120, maxOrb: 8, symbol: '△', weight: 0.85 },
@@ -19,142 +26,144 @@ const ASPECTS = [
   { name: 'Inconjunct', target: 150, maxOrb: 3, symbol: '⚻', weight: 0.55 }
 ];
 
+// Declination aspects: compared by declination instead of longitude, with their own orb
+export const DECLINATION_ASPECTS = [
+  { name: 'Parallel', symbol: '∥', maxOrb: 1, weight: 0.60 },
+  { name: 'Contra-parallel', symbol: '⋕', maxOrb: 1, weight: 0.50 }
+];
+
+const ANGLE_NAMES = { ascendant: 'Ascendant', midheaven: 'Midheaven' };
+
 // Planet importance (0..10)
 const PLANET_IMPORTANCE = {
-  sun: 9, moon: 10, mercury: 5, venus: 7, mars: 8, jupiter: 8, saturn: 9, uranus: 6, neptune: 6, pluto: 7
+  sun: 9, moon: 10, mercury: 5, venus: 7, mars: 8, jupiter: 8, saturn: 9, uranus: 6, neptune: 6, pluto: 7,
+  meanNode: 5, trueNode: 5, lilith: 4, chiron: 5, partOfFortune: 4
 };
 
+// Length of the timed block drawn at the exact moment in week/day columns (minutes)
+const TRANSIT_EVENT_DURATION = 60;
+
+// Transits slow enough to be worth drawing as multi-day bars
+export const SLOW_TRANSIT_BODIES = ['jupiter', 'saturn', 'uranus', 'neptune', 'pluto', 'chiron'];
+
+// Sampling step for period searches: a slow body cannot cross an orb edge and back within one step
+const PERIOD_SEARCH_STEP_MS = {
+  moon: 12 * 60 * 60 * 1000,
+  sun: 24 * 60 * 60 * 1000, mercury: 24 * 60 * 60 * 1000, venus: 24 * 60 * 60 * 1000, mars: 24 * 60 * 60 * 1000,
+  lilith: 24 * 60 * 60 * 1000
+};
+const SLOW_PERIOD_SEARCH_STEP_MS = 5 * 24 * 60 * 60 * 1000;
+
+// Orb entries are bisected to the minute; anchor a little later so the anchor is surely inside
+const PERIOD_ANCHOR_OFFSET_MS = 10 * 60 * 1000;
+
 // Default top N to show in compact view
 export const DEFAULT_TOP_N = 6;
 
+function capitalize(s) { return s ? s[0].toUpperCase() + s.slice(1) : s; }
+
+function displayName(key) { return POINT_NAMES[key] || capitalize(key); }
+
 /**
- * Determine which aspect object applies for a given angle (0..180).
- * Returns { name, symbol, maxOrb, orb, weight } or null.
+ * Glyph and name of a chart point for event titles ('☉ Sun', 'Part of Fortune' with its
+ * glyph, angles by name only); shared with the other natal event generators
  */
-function determineAspect(angle) {
-  for (const a of ASPECTS) {
-    const orb = Math.abs(angle - a.target);
-    if (orb <= a.maxOrb) {
-      return { ...a, orb: parseFloat(orb.toFixed(2)) };
-    }
-  }
-  return null;
+export function pointLabel(key) {
+  if (ANGLE_NAMES[key]) return ANGLE_NAMES[key];
+  return `${PLANET_SYMBOLS[key] || ''} ${displayName(key)}`;
 }
 
-function capitalize(s) { return s ? s[0].toUpperCase() + s.slice(1) : s; }
+// Body name as used by ephemeris.js -> chart key (Sun -> sun, MeanNode -> meanNode)
+export function toPointKey(body) {
+  return body[0].toLowerCase() + body.slice(1);
+}
 
-/**
- * Check if transit planet is applying to natal (small +1h test)
- * date: JS Date (local)
- */
-function isApplying(transitPlanetName, natalAbsolute, date) {
-  try {
-    const cap = capitalize(transitPlanetName);
-    const t0 = calculatePlanetPosition(cap, date);
-    const later = new Date(date.getTime() + 60 * 60 * 1000); // +1 hour
-    const t1 = calculatePlanetPosition(cap, later);
-    if (!t0 || !t1 || t0.absoluteDegree == null || t1.absoluteDegree == null) return false;
-    const angleNow = calculateAngle(t0.absoluteDegree, natalAbsolute);
-    const angleLater = calculateAngle(t1.absoluteDegree, natalAbsolute);
-    return angleLater < angleNow; // decreasing -> applying
-  } catch (e) {
-    return false;
-  }
+// House number with its suffix, for titles ('natal 5th house')
+export function ordinal(n) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${n}${(n < 11 || n > 13) && suffixes[n % 10] ? suffixes[n % 10] : 'th'}`;
 }
 
 /**
  * Calculate transit events (all candidates) for a given calendarDate (local date).
+ * Only aspects that become exact during that day are returned.
  * Returns an array of events with meta.score, sorted descending (highest score first).
  *
- * Event format (compatible with rendering):
+ * Event format (compatible with rendering; the other natal event generators follow it):
  * {
  *   id: 'transit-YYYYMMDD-transit-natal-aspect',
  *   title: '☉ Sun ☌ natal ♀ Venus',
- *   date: Date (local),
- *   startTime: 0,
- *   endTime: 1440,
+ *   date: Date (exact moment, local),
+ *   startTime: minutes after local midnight,
+ *   endTime: startTime + 60 (max 1440),
  *   color: '#...', // color by aspect
- *   meta: { transitPlanet, natalPlanet, aspect, orb, angle, transitPos, natalPos, score }
+ *   meta: { transitPlanet, natalPlanet, aspect, orb, applying, exactTime, orbWindow: {start, end, maxOrb}, transitPos, natalPos, score }
  * }
+ * orb and applying are taken at local midday, so an aspect is scored by how close it is
+ * through the day rather than at the exact moment (when the orb is always 0).
+ * natal defaults to the stored birth chart (or the relationship chart chosen as transit
+ * base); pass it when computing many days (or in transit-worker.js, which has no
+ * localStorage) to parse it only once.
  */
-export function getTransitEventsForDate(calendarDate) {
-  // load natal chart
-  let natal = null;
-  try {
-    const raw = localStorage.getItem('birthChart');
-    if (!raw) return [];
-    natal = JSON.parse(raw);
-  } catch (e) {
-    console.warn('Failed to parse birthChart from localStorage', e);
-    return [];
-  }
+export function getTransitEventsForDate(calendarDate, natal = loadNatalChart()) {
+  if (!natal) return [];
+
+  const transitSettings = getTransitSettings(natal);
 
-  // sample transit positions at local midday to avoid UTC date shifts
   const y = calendarDate.getFullYear();
   const m = calendarDate.getMonth();
   const d = calendarDate.getDate();
-  const sampleLocal = new Date(y, m, d, 12, 0, 0);
-
-  // compute transit absolute positions for each planet
-  const transitPositions = {};
-  for (const p of PLANETS) {
-    try {
-      const pos = calculatePlanetPosition(capitalize(p), sampleLocal);
-      transitPositions[p] = pos;
-    } catch (e) {
-      transitPositions[p] = null;
-    }
-  }
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const midday = new Date(y, m, d, 12, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
 
-  const scored = [];
+  const { longitudeTargets, declinationTargets } = collectAspectTargets(natal);
 
-  for (const transitKey of PLANETS) {
-    const transitPos = transitPositions[transitKey];
-    if (!transitPos || transitPos.absoluteDegree == null) continue;
-
-    for (const natalKey of PLANETS) {
-      const natalData = natal[natalKey];
-      if (!natalData || natalData.absoluteDegree == null) continue;
-
-      const angle = calculateAngle(transitPos.absoluteDegree, natalData.absoluteDegree);
-      const aspect = determineAspect(angle);
-      if (!aspect) continue;
+  const scored = [];
 
-      // Scoring components
-      const closenessScore = (aspect.maxOrb - aspect.orb) / aspect.maxOrb; // 0..1
-      const aspectWeight = aspect.weight || 0.7;
-      const impTransit = PLANET_IMPORTANCE[transitKey] || 5;
-      const impNatal = PLANET_IMPORTANCE[natalKey] || 5;
-      const planetImportanceScore = (impTransit + impNatal) / 20; // 0..1
-      const angularBoost = natalData.house && [1,4,7,10].includes(Number(natalData.house)) ? 0.12 : 0;
-      const applyingBoost = isApplying(transitKey, natalData.absoluteDegree, sampleLocal) ? 0.05 : 0;
+  for (const transitKey of TRANSIT_BODIES) {
+    const body = capitalize(transitKey);
 
-      // Moon damping (reduce prominence for non-exact moon transits)
-      const moonMultiplier = (transitKey === 'moon' && aspect.orb > 3) ? 0.5 : 1.0;
+    const longitudeHits = findLongitudeCrossings(body, longitudeTargets.map(t => t.point), dayStart, dayEnd, transitSettings)
+      .map(crossing => ({ crossing, target: longitudeTargets[crossing.boundaryIndex], coordinate: 'longitude' }));
+    const declinationHits = findDeclinationCrossings(body, declinationTargets.map(t => t.point), dayStart, dayEnd, transitSettings)
+      .map(crossing => ({ crossing, target: declinationTargets[crossing.boundaryIndex], coordinate: 'declination' }));
 
-      const base = (closenessScore * 0.5) + (aspectWeight * 0.2) + (planetImportanceScore * 0.15) + angularBoost + applyingBoost;
-      const finalScore = Math.min(1.0, base) * moonMultiplier;
+    for (const { crossing, target, coordinate } of [...longitudeHits, ...declinationHits]) {
+      const { natalKey, natalData, aspect } = target;
+      const exactDate = crossing.date;
+      const orbWindow = findOrbWindow(body, target.point, aspect.maxOrb, exactDate, transitSettings, coordinate);
+      const transitPos = calculatePlanetPosition(body, exactDate, transitSettings);
+      const orb = orbAt(body, target.point, coordinate, midday, transitSettings);
+      const applying = isApplying(body, target.point, coordinate, midday, transitSettings);
+      const finalScore = scoreTransit({ ...aspect, orb }, transitKey, natalKey, natalData, applying);
 
-      const transitSymbol = PLANET_SYMBOLS[transitKey] || '';
-      const natalSymbol = PLANET_SYMBOLS[natalKey] || '';
-      const title = `${transitSymbol} ${capitalize(transitKey)} ${aspect.symbol} natal ${natalSymbol} ${capitalize(natalKey)}`;
+      const title = `${pointLabel(transitKey)} ${aspect.symbol} natal ${pointLabel(natalKey)}`;
 
-      const id = `transit-${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}-${transitKey}-${natalKey}-${aspect.name}`;
+      const startTime = Math.floor((exactDate.getTime() - dayStart.getTime()) / 60000);
 
       scored.push({
-        id,
+        id: `transit-${idDate}-${transitKey}-${natalKey}-${aspect.name}`,
         title,
-        date: new Date(y, m, d, 12, 0, 0),
-        startTime: 0,
-        endTime: 1440,
+        date: exactDate,
+        startTime,
+        endTime: Math.min(1440, startTime + TRANSIT_EVENT_DURATION),
         color: aspectColor(aspect.name),
         meta: {
           transitPlanet: transitKey,
           natalPlanet: natalKey,
           aspect: aspect.name,
           symbol: aspect.symbol,
-          orb: aspect.orb,
-          angle: parseFloat(angle.toFixed(2)),
+          orb: parseFloat(orb.toFixed(2)),
+          applying,
+          exactTime: exactDate.toISOString(),
+          retrograde: crossing.direction === 'retrograde' && coordinate === 'longitude',
+          orbWindow: {
+            start: orbWindow.start ? orbWindow.start.toISOString() : null,
+            end: orbWindow.end ? orbWindow.end.toISOString() : null,
+            maxOrb: aspect.maxOrb
+          },
           transitPos,
           natalPos: natalData,
           score: parseFloat(finalScore.toFixed(4))
@@ -163,18 +172,244 @@ export function getTransitEventsForDate(calendarDate) {
     }
   }
 
-  // sort by score desc then by closeness (lower orb)
+  // sort by score desc then by exact time
   scored.sort((a,b) => {
     const sa = a.meta.score || 0;
     const sb = b.meta.score || 0;
     if (sb !== sa) return sb - sa;
-    return (a.meta.orb || 0) - (b.meta.orb || 0);
+    return a.startTime - b.startTime;
   });
 
   return scored;
 }
 
-function aspectColor(typeName) {
+/**
+ * Calculate in-orb transit periods overlapping a date range.
+ * A period runs from the moment a transit enters orb of an aspect point to the moment it
+ * leaves it, and lists every exact hit in between (retrograde passes included).
+ * Returns periods sorted by score (highest first).
+ *
+ * Period format:
+ * {
+ *   id: 'transit-period-saturn-sun-Square-<orb entry ISO>',
+ *   title: '♄ Saturn □ natal ☉ Sun',
+ *   color: '#...',
+ *   start: Date | null (orb entry; null when more than a year before the exact hit),
+ *   end: Date | null (orb exit; null when more than a year after),
+ *   exactHits: [{ date, retrograde }],
+ *   meta: { transitPlanet, natalPlanet, aspect, symbol, maxOrb, orb, applying, score }
+ * }
+ * orb and applying are taken midway through the part of the period inside the range.
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {object} options - Optional { bodies } to restrict the transiting bodies (keys as in TRANSIT_BODIES)
+ */
+export function getTransitPeriods(start, end, options = {}) {
+  const natal = loadNatalChart();
+  if (!natal) return [];
+
+  const transitSettings = getTransitSettings(natal);
+  const bodies = options.bodies || TRANSIT_BODIES;
+  const targetsByCoordinate = collectAspectTargets(natal);
+  const periods = [];
+
+  for (const transitKey of bodies) {
+    const body = capitalize(transitKey);
+    const stepMs = PERIOD_SEARCH_STEP_MS[transitKey] || SLOW_PERIOD_SEARCH_STEP_MS;
+    const startPos = calculatePlanetPosition(body, start, transitSettings);
+    if (!startPos) continue;
+
+    for (const coordinate of ['longitude', 'declination']) {
+      const targets = coordinate === 'longitude' ? targetsByCoordinate.longitudeTargets : targetsByCoordinate.declinationTargets;
+      const startValue = coordinate === 'longitude' ? startPos.absoluteDegree : startPos.declination;
+      const distance = coordinate === 'longitude'
+        ? (value, point) => ((value - point + 540) % 360) - 180
+        : (value, point) => value - point;
+      const findCrossings = (boundaries, from, to) => coordinate === 'longitude'
+        ? findLongitudeCrossings(body, boundaries, from, to, transitSettings, stepMs)
+        : findDeclinationCrossings(body, boundaries, from, to, transitSettings, stepMs);
+
+      // moments known to be inside an orb: the range start, and just after each orb entry
+      const anchors = [];
+      targets.forEach((target, index) => {
+        if (Math.abs(distance(startValue, target.point)) <= target.aspect.maxOrb) anchors.push({ index, date: start });
+      });
+
+      const edges = targets.flatMap((target, index) => [
+        { index, point: target.point - target.aspect.maxOrb, entering: 'direct' },
+        { index, point: target.point + target.aspect.maxOrb, entering: 'retrograde' }
+      ]);
+      for (const crossing of findCrossings(edges.map(e => coordinate === 'longitude' ? (e.point + 360) % 360 : e.point), start, end)) {
+        const edge = edges[crossing.boundaryIndex];
+        if (crossing.direction !== edge.entering) continue;
+        anchors.push({ index: edge.index, date: new Date(crossing.date.getTime() + PERIOD_ANCHOR_OFFSET_MS) });
+      }
+
+      const found = targets.map(() => []);
+      for (const anchor of anchors) {
+        const { natalKey, natalData, aspect, point } = targets[anchor.index];
+
+        // already covered by a period found from an earlier anchor
+        const isCovered = found[anchor.index].some(period =>
+          (!period.start || period.start <= anchor.date) && (!period.end || anchor.date <= period.end));
+        if (isCovered) continue;
+
+        const orbWindow = findOrbWindow(body, point, aspect.maxOrb, anchor.date, transitSettings, coordinate, stepMs);
+        const id = `transit-period-${transitKey}-${natalKey}-${aspect.name}-${orbWindow.start ? orbWindow.start.toISOString() : 'open'}`;
+
+        const exactHits = findCrossings([point], orbWindow.start || start, orbWindow.end || end).map(crossing => ({
+          date: crossing.date,
+          retrograde: coordinate === 'longitude' && crossing.direction === 'retrograde'
+        }));
+
+        const visibleStart = Math.max(start.getTime(), orbWindow.start ? orbWindow.start.getTime() : -Infinity);
+        const visibleEnd = Math.min(end.getTime(), orbWindow.end ? orbWindow.end.getTime() : Infinity);
+        const sampleDate = new Date((visibleStart + visibleEnd) / 2);
+        const orb = orbAt(body, point, coordinate, sampleDate, transitSettings);
+        const applying = isApplying(body, point, coordinate, sampleDate, transitSettings);
+
+        const period = {
+          id,
+          title: `${pointLabel(transitKey)} ${aspect.symbol} natal ${pointLabel(natalKey)}`,
+          color: aspectColor(aspect.name),
+          start: orbWindow.start,
+          end: orbWindow.end,
+          exactHits,
+          meta: {
+            transitPlanet: transitKey,
+            natalPlanet: natalKey,
+            aspect: aspect.name,
+            symbol: aspect.symbol,
+            maxOrb: aspect.maxOrb,
+            orb: parseFloat(orb.toFixed(2)),
+            applying,
+            score: parseFloat(scoreTransit({ ...aspect, orb }, transitKey, natalKey, natalData, applying).toFixed(4))
+          }
+        };
+        found[anchor.index].push(period);
+        periods.push(period);
+      }
+    }
+  }
+
+  return periods.sort((a, b) => b.meta.score - a.meta.score);
+}
+
+/**
+ * The stored chart natal events are calculated to: the birth chart, or the composite /
+ * Davison chart chosen as the transit base (relationship-charts.js)
+ * @param {object} options - { transitBase: false } for the birth chart itself
+ * @returns {object|null}
+ */
+export function loadNatalChart({ transitBase = true } = {}) {
+  try {
+    const raw = (transitBase && localStorage.getItem('transitBaseChart')) || localStorage.getItem('birthChart');
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('Failed to parse birthChart from localStorage', e);
+    return null;
+  }
+}
+
+/**
+ * Calculation settings for transits to a natal chart (and for its progressions and
+ * returns): the chart's zodiac, and the birth place (or another place, e.g. a return
+ * relocation) as observer when the chart was calculated with a topocentric Moon
+ * @param {object} natal - Natal chart
+ * @param {object} place - Optional {latitude, longitude}; defaults to the birth place
+ * @returns {object} {zodiac, ayanamsa, observer}
+ */
+export function getTransitSettings(natal, place = natal.metadata) {
+  const { latitude, longitude } = place || {};
+  return {
+    zodiac: natal.zodiac,
+    ayanamsa: natal.ayanamsa,
+    observer: natal.topocentric && latitude != null ? { latitude, longitude } : null
+  };
+}
+
+/**
+ * Every exact aspect point of a natal chart:
+ * natal longitude +/- aspect angle, and natal declination (parallel) / its mirror (contra-parallel)
+ * @param {object} natal - Natal chart
+ * @param {Array<string>} natalKeys - Points to aspect (defaults to every natal transit target)
+ * @returns {object} { longitudeTargets, declinationTargets }, each [{natalKey, natalData, aspect, point}]
+ */
+export function collectAspectTargets(natal, natalKeys = NATAL_TARGETS) {
+  const longitudeTargets = [];
+  const declinationTargets = [];
+
+  for (const natalKey of natalKeys) {
+    const natalData = natal[natalKey];
+    if (!natalData) continue;
+
+    if (natalData.absoluteDegree != null) {
+      for (const aspect of ASPECTS) {
+        const offsets = (aspect.target === 0 || aspect.target === 180) ? [aspect.target] : [aspect.target, -aspect.target];
+        for (const offset of offsets) {
+          longitudeTargets.push({ natalKey, natalData, aspect, point: (natalData.absoluteDegree + offset + 360) % 360 });
+        }
+      }
+    }
+
+    // charts saved before declinations were stored have none
+    if (natalData.declination != null) {
+      const [parallel, contraParallel] = DECLINATION_ASPECTS;
+      declinationTargets.push({ natalKey, natalData, aspect: parallel, point: natalData.declination });
+      declinationTargets.push({ natalKey, natalData, aspect: contraParallel, point: -natalData.declination });
+    }
+  }
+
+  return { longitudeTargets, declinationTargets };
+}
+
+/**
+ * Orb (degrees) of a transiting body from an exact aspect point at a moment
+ * point: longitude, or declination when coordinate is 'declination'
+ */
+function orbAt(body, point, coordinate, date, transitSettings) {
+  const pos = calculatePlanetPosition(body, date, transitSettings);
+  if (!pos) return 0;
+  return coordinate === 'longitude'
+    ? Math.abs(longitudeDistance(pos.absoluteDegree, point))
+    : Math.abs(pos.declination - point);
+}
+
+/**
+ * Check if a transiting body is applying to an exact aspect point (small +1h test)
+ */
+function isApplying(body, point, coordinate, date, transitSettings) {
+  try {
+    const later = new Date(date.getTime() + 60 * 60 * 1000); // +1 hour
+    return orbAt(body, point, coordinate, later, transitSettings) < orbAt(body, point, coordinate, date, transitSettings); // decreasing -> applying
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Score a transit (0..1) from orb closeness, aspect weight, planet importance,
+ * angular natal house and applying/separating.
+ * Also scores other natal contacts (solar arc directions, synastry).
+ */
+export function scoreTransit(aspect, transitKey, natalKey, natalData, applying = false) {
+  // Scoring components
+  const closenessScore = (aspect.maxOrb - aspect.orb) / aspect.maxOrb; // 0..1
+  const aspectWeight = aspect.weight || 0.7;
+  const impTransit = PLANET_IMPORTANCE[transitKey] || 5;
+  const impNatal = PLANET_IMPORTANCE[natalKey] || 5;
+  const planetImportanceScore = (impTransit + impNatal) / 20; // 0..1
+  const angularBoost = natalData.house && [1,4,7,10].includes(Number(natalData.house)) ? 0.12 : 0;
+  const applyingBoost = applying ? 0.05 : 0;
+
+  // Moon damping (reduce prominence for non-exact moon transits)
+  const moonMultiplier = (transitKey === 'moon' && aspect.orb > 3) ? 0.5 : 1.0;
+
+  const base = (closenessScore * 0.5) + (aspectWeight * 0.2) + (planetImportanceScore * 0.15) + angularBoost + applyingBoost;
+  return Math.min(1.0, base) * moonMultiplier;
+}
+
+export function aspectColor(typeName) {
   switch (typeName) {
     case 'Conjunction': return '#7c3aed'; // purple
     case 'Opposition': return '#ef4444'; // red
@@ -182,6 +417,8 @@ function aspectColor(typeName) {
     case 'Trine': return '#10b981'; // green
     case 'Sextile': return '#3b82f6'; // blue
     case 'Inconjunct': return '#64748b'; // gray
+    case 'Parallel': return '#a855f7'; // violet
+    case 'Contra-parallel': return '#f43f5e'; // rose
     default: return '#6b7280';
   }
 }
@@ -0,0 +1,182 @@
+// ============================================
+// TRANSIT RANGE
+// Transit events for a range of days, computed in transit-worker.js so views
+// (the month grid) render immediately and fill in day by day.
+// Falls back to the main thread, one day per task, where module workers are unavailable.
+// Results are cached per day for the stored birth chart they were computed for.
+// ============================================
+
+import { getTransitEventsForDate } from './transit-events.js';
+import { getChartSettings } from './chart-settings.js';
+
+let worker = null; // created on first use; false once workers turned out to be unavailable
+let nextRequestId = 1;
+const pendingRequests = new Map(); // requestId -> {days, natal, engine, onDay, resolve, results}
+
+const cachedEvents = new Map(); // 'YYYY-M-D' -> events
+let cachedBirthChart = null;    // raw localStorage birthChart the cache belongs to
+
+/**
+ * Compute transit events for every local day in [start, end)
+ * Days already cached are delivered right away; the rest arrive one by one.
+ * A new range request cancels the ones still running (the view that asked for them is gone).
+ * @param {Date} start - First day of the range
+ * @param {Date} end - End of the range (exclusive)
+ * @param {function(Date, Array<object>)} onDay - Called with each day and its events (scored, descending)
+ * @returns {Promise<Map<string, Array<object>>>} Events by day key once every day has been delivered
+ */
+export function getTransitEventsForRange(start, end, onDay = () => {}) {
+  const natal = loadCurrentBirthChart();
+  const results = new Map();
+  if (!natal) return Promise.resolve(results);
+
+  const missingDays = [];
+  for (let day = startOfDay(start); day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    const key = toDayKey(day);
+    if (cachedEvents.has(key)) {
+      results.set(key, cachedEvents.get(key));
+      onDay(day, cachedEvents.get(key));
+    } else {
+      missingDays.push(day);
+    }
+  }
+  if (missingDays.length === 0) return Promise.resolve(results);
+
+  cancelPendingRequests();
+
+  return new Promise((resolve) => {
+    const requestId = nextRequestId++;
+    const request = { days: missingDays, natal, engine: getChartSettings().engine, onDay, resolve, results };
+    pendingRequests.set(requestId, request);
+
+    const transitWorker = getWorker();
+    if (transitWorker) {
+      postRangeRequest(transitWorker, requestId, request);
+    } else {
+      computeOnMainThread(requestId, request);
+    }
+  });
+}
+
+/**
+ * Transit events of a day if a range request already computed them for the current birth chart
+ * @param {Date} date - Local date
+ * @returns {Array<object>|null} null when not computed (yet)
+ */
+export function getCachedTransitEvents(date) {
+  loadCurrentBirthChart();
+  return cachedEvents.get(toDayKey(date)) || null;
+}
+
+// Parse the stored birth chart (or the relationship chart chosen as the transit base),
+// dropping the cache when it changed since the last request
+function loadCurrentBirthChart() {
+  const raw = localStorage.getItem('transitBaseChart') || localStorage.getItem('birthChart');
+  if (raw !== cachedBirthChart) {
+    cachedEvents.clear();
+    cachedBirthChart = raw;
+  }
+
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('Failed to parse birthChart from localStorage', e);
+    return null;
+  }
+}
+
+function getWorker() {
+  if (worker !== null) return worker;
+
+  try {
+    worker = new Worker(new URL('./transit-worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', handleWorkerFailure);
+  } catch (error) {
+    console.warn('⚠️ Transit worker unavailable - computing transits on the main thread', error);
+    worker = false;
+  }
+  return worker;
+}
+
+function postRangeRequest(transitWorker, requestId, request) {
+  const { days, natal, engine } = request;
+  const lastDay = days[days.length - 1];
+
+  transitWorker.postMessage({
+    type: 'getTransitEventsForRange',
+    requestId,
+    start: days[0],
+    end: new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1),
+    natal,
+    engine
+  });
+}
+
+function handleWorkerMessage(event) {
+  const { type, requestId, date, events, message } = event.data;
+  const request = pendingRequests.get(requestId);
+  if (!request) return;
+
+  if (type === 'day') {
+    deliverDay(request, date, events);
+  } else if (type === 'done') {
+    finishRequest(requestId);
+  } else if (type === 'error') {
+    console.error('Transit worker failed:', message);
+    finishRequest(requestId);
+  }
+}
+
+// The worker script failed to load (e.g. no module worker support): move everything to the main thread
+function handleWorkerFailure(event) {
+  console.warn('⚠️ Transit worker failed - computing transits on the main thread', event.message);
+  worker.terminate();
+  worker = false;
+
+  for (const [requestId, request] of pendingRequests) {
+    request.days = request.days.filter((day) => !request.results.has(toDayKey(day)));
+    computeOnMainThread(requestId, request);
+  }
+}
+
+async function computeOnMainThread(requestId, request) {
+  for (const day of request.days) {
+    // One day per task keeps the page responsive, like the worker's progressive delivery
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    if (!pendingRequests.has(requestId)) return;
+
+    deliverDay(request, day, getTransitEventsForDate(day, request.natal));
+  }
+  finishRequest(requestId);
+}
+
+function deliverDay(request, date, events) {
+  const key = toDayKey(date);
+  cachedEvents.set(key, events);
+  request.results.set(key, events);
+  request.onDay(date, events);
+}
+
+function finishRequest(requestId) {
+  const request = pendingRequests.get(requestId);
+  pendingRequests.delete(requestId);
+  request.resolve(request.results);
+}
+
+function cancelPendingRequests() {
+  for (const requestId of [...pendingRequests.keys()]) {
+    if (worker) worker.postMessage({ type: 'cancel', requestId });
+    finishRequest(requestId);
+  }
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function toDayKey(date) {
+  return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+console.log('🧵 Transit range module loaded');
@@ -0,0 +1,55 @@
+// ============================================
+// TRANSIT WORKER
+// Module worker that computes transit events off the main thread
+// (started by transit-range.js).
+//
+// Messages in:
+//   {type: 'getTransitEventsForRange', requestId, start, end, natal, engine}
+//   {type: 'cancel', requestId}
+// Messages out (one 'day' per local day in [start, end), as soon as it is computed):
+//   {type: 'day', requestId, date, events}
+//   {type: 'done', requestId}
+//   {type: 'error', requestId, message}
+// ============================================
+
+// Astronomy Engine's browser build attaches itself to self.Astronomy in a worker
+import '../vendor/astronomy-engine/astronomy.browser.js';
+import { setEphemerisEngine } from './ephemeris-provider.js';
+import { getTransitEventsForDate } from './transit-events.js';
+
+const cancelledRequests = new Set();
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+
+  if (message.type === 'cancel') {
+    cancelledRequests.add(message.requestId);
+  } else if (message.type === 'getTransitEventsForRange') {
+    computeRange(message);
+  }
+});
+
+async function computeRange({ requestId, start, end, natal, engine }) {
+  setEphemerisEngine(engine);
+
+  try {
+    for (let day = startOfDay(start); day < end; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+      // Yield between days so a 'cancel' (or a newer request) is seen promptly
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (cancelledRequests.has(requestId)) break;
+
+      self.postMessage({ type: 'day', requestId, date: day, events: getTransitEventsForDate(day, natal) });
+    }
+    self.postMessage({ type: 'done', requestId });
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId, message: error.message });
+  } finally {
+    cancelledRequests.delete(requestId);
+  }
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+console.log('🧵 Transit worker loaded');
@@ -7,6 +7,8 @@ import { calculateBirthChart, exportChartAsJSON } from './birth-chart.js';
 import { PLANET_SYMBOLS } from './astrology-core.js';
 import { promptForTimezoneOffset, estimateTimezoneOffset } from './timezone-helper.js';
 import { displayBirthChart } from './birth-chart-display.js';
+import { getChartSettings, populateHouseSystemSelect, populateZodiacSelect, readZodiacSelect } from './chart-settings.js';
+import { createProfile, deleteProfile, getActiveProfileId, clearProfiles } from './profiles.js';
 
 // Helper functions for birth chart storage
 function saveBirthChart(chart) {
@@ -32,6 +34,37 @@ document.addEventListener('DOMContentLoaded', function() {
   }
 });
 
+// Recalculate the stored birth chart when a calculation setting changes
+document.addEventListener('chart-settings-change', async (event) => {
+  const userData = localStorage.getItem('userRegistrationData');
+  if (!userData) return;
+
+  const user = JSON.parse(userData);
+  const previousChart = loadBirthChart();
+
+  try {
+    const birthChart = await calculateBirthChart(
+      user.birthday,
+      user.birthTime,
+      user.birthLat,
+      user.birthLon,
+      previousChart?.metadata?.timezoneOffset ?? null,
+      event.detail.settings
+    );
+
+    user.birthChart = birthChart;
+    localStorage.setItem('userRegistrationData', JSON.stringify(user));
+    saveBirthChart(birthChart);
+    displayBirthChart(birthChart);
+
+    document.dispatchEvent(new CustomEvent('event-change', {
+      bubbles: true
+    }));
+  } catch (error) {
+    console.error('❌ Error recalculating birth chart:', error);
+  }
+});
+
 function checkIfUserRegistered() {
   const userData = localStorage.getItem('userRegistrationData');
 
@@ -55,6 +88,11 @@ async function handleRegistrationSubmit(event) {
     birthLon: parseFloat(document.getElementById('user-birth-lon').value),
     email: document.getElementById('user-email').value,
     password: document.getElementById('user-password').value,
+    settings: {
+      ...getChartSettings(),
+      houseSystem: document.getElementById('user-house-system').value,
+      ...readZodiacSelect(document.getElementById('user-zodiac'))
+    },
     registeredDate: new Date().toISOString()
   };
   
@@ -72,12 +110,15 @@ async function handleRegistrationSubmit(event) {
       formData.birthday,
       formData.birthTime,
       formData.birthLat,
-      formData.birthLon
+      formData.birthLon,
+      null,
+      formData.settings
     );
     
     formData. birthChart = birthChart;
-    localStorage.setItem('userRegistrationData', JSON.stringify(formData));
-    saveBirthChart(birthChart);
+
+    // Store as a new profile and switch to it (refreshes the calendar for the new chart)
+    createProfile(formData);
 
     // Close registration dialog
     const dialog = document. getElementById('user-registration-dialog');
@@ -165,8 +206,7 @@ function showBirthChartConfirmation(userData) {
     confirmDialog.close();
     confirmDialog.remove();
     
-    localStorage.removeItem('userRegistrationData');
-    localStorage.removeItem('birthChart');
+    deleteProfile(getActiveProfileId());
     alert('Let\'s try again.  Please double-check your birth time and location.');
     showRegistrationDialog();
   });
@@ -179,8 +219,8 @@ function showBirthChartConfirmation(userData) {
   }
 }
 
-// Show a registration dialog (created dynamically)
-function showRegistrationDialog() {
+// Show a registration dialog (created dynamically); also used to add another profile
+export function showRegistrationDialog() {
   if (document.getElementById('user-registration-dialog')) return;
 
   // Create dialog element
@@ -220,6 +260,16 @@ function showRegistrationDialog() {
       <input type="hidden" id="user-birth-lat" name="birthLat">
       <input type="hidden" id="user-birth-lon" name="birthLon">
       
+      <label>
+        House system
+        <select id="user-house-system" name="houseSystem"></select>
+      </label>
+      
+      <label>
+        Zodiac
+        <select id="user-zodiac" name="zodiac"></select>
+      </label>
+      
       <label>
         Email
         <input id="user-email" name="email" type="email" />
@@ -239,6 +289,9 @@ function showRegistrationDialog() {
 
   document.body.appendChild(dialog);
 
+  populateHouseSystemSelect(document.getElementById('user-house-system'), getChartSettings().houseSystem);
+  populateZodiacSelect(document.getElementById('user-zodiac'), getChartSettings());
+
   // Attach submit handler now that the form exists
   const registrationForm = document. getElementById('user-registration-form');
   if (registrationForm) {
@@ -289,6 +342,7 @@ function displayWelcomeMessage() {
 function clearUserData() {
   localStorage.removeItem('userRegistrationData');
   localStorage.removeItem('birthChart');
+  clearProfiles();
   alert('User data cleared. Please register again.');
   showRegistrationDialog();
 }
@@ -0,0 +1,74 @@
+// Void-of-course Moon events generator
+// Exports getVoidOfCourseEventsForDate(date) -> timed blocks for the part of each
+// void-of-course period that falls on that day
+// Uses findVoidOfCourseMoons from ephemeris.js (last Ptolemaic aspect -> next sign ingress)
+
+import { PLANET_SYMBOLS, ZODIAC_SYMBOLS } from './astrology-core.js';
+import { findVoidOfCourseMoons } from './ephemeris.js';
+import { getChartSettings } from './chart-settings.js';
+
+const VOID_OF_COURSE_COLOR = '#94a3b8'; // slate
+
+const ASPECT_SYMBOLS = { 0: '☌', 60: '⚹', 90: '□', 120: '△', 180: '☍' };
+
+const periodTimeFormatter = new Intl.DateTimeFormat('en-us', {
+  weekday: 'short',
+  hour: 'numeric',
+  minute: 'numeric'
+});
+
+/**
+ * Calculate void-of-course Moon events for a given calendarDate (local date).
+ * A period crossing midnight yields one block on each day it touches.
+ *
+ * Event format (compatible with rendering):
+ * {
+ *   id: 'voc-YYYYMMDD-<period start ISO>',
+ *   title: '☽ Moon void of course → ♌ Leo',
+ *   date: Date (block start, local),
+ *   startTime: minutes after local midnight,
+ *   endTime: minutes after local midnight (max 1440),
+ *   color: '#...',
+ *   meta: { type: 'void-of-course', start, end, sign, nextSign, lastAspect, summary }
+ * }
+ */
+export function getVoidOfCourseEventsForDate(calendarDate) {
+  const y = calendarDate.getFullYear();
+  const m = calendarDate.getMonth();
+  const d = calendarDate.getDate();
+  const dayStart = new Date(y, m, d, 0, 0, 0);
+  const dayEnd = new Date(y, m, d + 1, 0, 0, 0);
+  const idDate = `${y}${String(m+1).padStart(2,'0')}${String(d).padStart(2,'0')}`;
+  const toMinutes = (date) => Math.round((date.getTime() - dayStart.getTime()) / 60000);
+
+  // Signs in the zodiac the rest of the calendar uses (see ingress-events.js)
+  return findVoidOfCourseMoons(dayStart, dayEnd, getChartSettings()).map((period) => {
+    const blockStart = period.start > dayStart ? period.start : dayStart;
+    const startTime = toMinutes(blockStart);
+    const endTime = period.end < dayEnd ? toMinutes(period.end) : 1440;
+
+    const lastAspect = period.lastAspect
+      ? `last aspect ☽ ${ASPECT_SYMBOLS[period.lastAspect.angle]} ${PLANET_SYMBOLS[period.lastAspect.body.toLowerCase()] || ''} ${period.lastAspect.body}`
+      : 'no aspect in this sign';
+
+    return {
+      id: `voc-${idDate}-${period.start.toISOString()}`,
+      title: `${PLANET_SYMBOLS.moon} Moon void of course → ${ZODIAC_SYMBOLS[period.nextSign]} ${period.nextSign}`,
+      date: blockStart,
+      startTime,
+      endTime: Math.max(endTime, startTime + 1),
+      color: VOID_OF_COURSE_COLOR,
+      meta: {
+        type: 'void-of-course',
+        start: period.start.toISOString(),
+        end: period.end.toISOString(),
+        sign: period.sign,
+        nextSign: period.nextSign,
+        lastAspect: period.lastAspect
+          ? { ...period.lastAspect, date: period.lastAspect.date.toISOString() }
+          : null,
+        summary: `Void ${periodTimeFormatter.format(period.start)} – ${periodTimeFormatter.format(period.end)} · ${lastAspect}`
+      }
+    };
+  });
+}
@@ -1,6 +1,9 @@
 import { generateWeekDays, isTheSameDay, today } from "./date.js";
 import { isEventAllDay, eventStartsBefore, eventEndsBefore, initDynamicEvent, eventCollidesWith, adjustDynamicEventMaxLines } from "./event.js";
 import { initEventList } from "./event-list.js";
+import { initPeriodBars } from "./period-bars.js";
+import { initPlanetaryHourBands } from "./planetary-hours.js";
+import { createRiseSetElement, initRiseSetMarkers } from "./rise-set.js";
 
 const calendarTemplateElement = document.querySelector('[data-template="week-calendar"]');
 const calendarDayOfWeekTemplateElement = document.querySelector('[data-template="week-calendar-day-of-week"]');
@@ -12,11 +15,15 @@ const dateFormatter = new Intl.DateTimeFormat('en-us', {
   weekday: 'short'
 });
 
+// Keep the all-day area compact: only the highest-priority periods get a bar
+const MAX_PERIOD_BARS = 6;
+
 export function initWeekCalendar(parent, selectedDate, eventStore, isSingleDay, deviceType) {
   const calendarContent = calendarTemplateElement.content.cloneNode(true);
   const calendarElement = calendarContent.querySelector('[data-week-calendar]');
   const calendarDayOfWeekListElement = calendarElement.querySelector('[data-week-calendar-day-of-week-list]');
   const allDayListElement = calendarElement.querySelector('[data-week-calendar-all-day-list]');
+  const periodListElement = calendarElement.querySelector('[data-week-calendar-period-list]');
   const calendarColumnsElement = calendarElement.querySelector('[data-week-calendar-columns]');
 
   const weekDays = isSingleDay ? [selectedDate] : generateWeekDays(selectedDate);
@@ -27,7 +34,7 @@ export function initWeekCalendar(parent, selectedDate, eventStore, isSingleDay,
 
     sortEventsByTime(nonAllDayEvents);
 
-    initDayOfWeek(calendarDayOfWeekListElement, selectedDate, weekDay, deviceType);
+    initDayOfWeek(calendarDayOfWeekListElement, selectedDate, weekDay, deviceType, isSingleDay);
 
     if (deviceType === "desktop" || (deviceType === "mobile" && isTheSameDay(weekDay, selectedDate))) {
       initAllDayListItem(allDayListElement, allDayEvents); 
@@ -35,6 +42,15 @@ export function initWeekCalendar(parent, selectedDate, eventStore, isSingleDay,
     }
   }
 
+  // Multi-day transit periods as bars spanning the visible day columns
+  const periodDays = (isSingleDay || deviceType === "mobile") ? [selectedDate] : weekDays;
+  const lastPeriodDay = periodDays[periodDays.length - 1];
+  const periods = eventStore.getPeriodsByRange(
+    periodDays[0],
+    new Date(lastPeriodDay.getFullYear(), lastPeriodDay.getMonth(), lastPeriodDay.getDate() + 1)
+  );
+  initPeriodBars(periodListElement, periodDays, periods, MAX_PERIOD_BARS);
+
   if (isSingleDay) {
     calendarElement.classList.add('week-calendar--day');
   }
@@ -48,7 +64,7 @@ export function initWeekCalendar(parent, selectedDate, eventStore, isSingleDay,
 }
 
 
-function initDayOfWeek(parent, selectedDate, weekDay, deviceType) {
+function initDayOfWeek(parent, selectedDate, weekDay, deviceType, isSingleDay) {
   const calendarDayOfWeekContent = calendarDayOfWeekTemplateElement.content.cloneNode(true);
   const calendarDayOfWeekElement = calendarDayOfWeekContent.querySelector('[data-week-calendar-day-of-week]');
   const calendarDayOfWeekButtonElement = calendarDayOfWeekElement.querySelector('[data-week-calendar-day-of-week-button]');
@@ -78,6 +94,12 @@ function initDayOfWeek(parent, selectedDate, weekDay, deviceType) {
     }
   });
 
+  // Day view: Sun and Moon rise, transit and set times under the day
+  if (isSingleDay) {
+    const riseSetElement = createRiseSetElement(weekDay);
+    if (riseSetElement) calendarDayOfWeekElement.appendChild(riseSetElement);
+  }
+
   parent.appendChild(calendarDayOfWeekElement);
 }
 
@@ -94,6 +116,10 @@ function initColumn(parent, weekDay, events) {
   const calendarColumnElement = calendarColumnContent.querySelector('[data-week-calendar-column]');
   const calendarColumnCellElements = calendarColumnElement.querySelectorAll('[data-week-calendar-cell]');
 
+  // Planetary hours as background bands behind the events
+  initPlanetaryHourBands(calendarColumnElement, weekDay);
+  initRiseSetMarkers(calendarColumnElement, weekDay);
+
   const eventsWithDynamicStyles = calculateEventsDynamicStyles(events);
   for (const eventWithDynamicStyles of eventsWithDynamicStyles) {
     initDynamicEvent(